@@ -1,18 +1,19 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { handleShutdown, readinessProbe, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "service-b" });
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 app.use((req, _res, next) => {
-    console.log(
-        JSON.stringify({
-            msg: "request",
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-            timestamp: new Date().toISOString()
-        })
-    );
+    logger.info("request", {
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -30,6 +31,9 @@ app.get("/healthz", (_req, res) => {
     res.status(200).send("ok");
 });
 
+// Readiness probe: fails once shutdown has started (see shutdown.js)
+app.get("/readyz", readinessProbe);
+
 /**
  * Instance / runtime info (useful to show scaling and ephemeral instances)
  */
@@ -71,19 +75,14 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -1,32 +1,34 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { handleShutdown, readinessProbe, trackInFlight } from "./shutdown.js";
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
+
 // [NEW] Read feature flag from ConfigMap
 const PROCESS_NAME = process.env.PROCESS_NAME ?? "";
 // [NEW] Read secret from Secret
 const API_KEY = process.env.API_KEY ?? "";
 
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
 // Middleware to log every request
 app.use((req, res, next) => {
-    const context = {
-        timestamp: new Date().toISOString(),
+    // Log to stdout (standard way in K8s)
+    logger.info("Handling request", {
         // [NEW] Add process name if it exists (from ConfigMap)
         process: PROCESS_NAME || undefined,
         method: req.method,
         path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
         headers: req.headers,
-    };
-
-    // Log to stdout (standard way in K8s)
-    console.log(JSON.stringify(context));
+    });
 
     next();
 });
@@ -49,6 +51,9 @@ app.get("/admin", (req, res) => {
     });
 });
 
+// Readiness probe: fails once shutdown has started (see shutdown.js)
+app.get("/readyz", readinessProbe);
+
 app.all("*", (req, res) => {
     res.json({
         message: "Hello from log-service",
@@ -68,6 +73,8 @@ app.all("*", (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, { port, logLevel: LOG_LEVEL });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
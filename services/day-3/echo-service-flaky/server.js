@@ -1,56 +1,313 @@
+import crypto from "crypto";
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
     const traceId = req.headers['x-request-id'] || "unknown";
 
-    console.log(
-        JSON.stringify({
-            timestamp: new Date().toISOString(),
-            msg: "Handling request",
-            traceId: traceId, // <--- Correlation happens here
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-        })
-    );
+    logger.info("Handling request", {
+        traceId: traceId, // <--- Correlation happens here
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
 
 // CHAOS MONKEY
-const FLAKY_RATE = 0.5; // 50% chance of failure
+// The chaos settings live in memory and can be changed at runtime through the
+// authenticated /chaos admin API (see below), so a single running pod can be
+// used for several retry / circuit-breaker experiments without a redeploy.
+const CHAOS_ADMIN_TOKEN = process.env.CHAOS_ADMIN_TOKEN ?? "";
+const SIMULATE_DELAY_MS = Number(process.env.SIMULATE_DELAY_MS ?? 0);
+
+// Paths that are never affected by chaos (probes and the admin API itself)
+const CHAOS_EXEMPT_PATHS = ["/healthz", "/chaos"];
+
+const CHAOS_CONFIG_KEYS = ["enabled", "failureRate", "errorStatusCodes", "latency", "routes"];
+const LATENCY_DISTRIBUTIONS = ["none", "fixed", "uniform", "normal", "exponential"];
+// Longest delay setTimeout can wait: above it, it fires after about 1ms instead
+const MAX_LATENCY_MS = 2 ** 31 - 1;
+
+// 50% chance of failure unless CHAOS_FAILURE_RATE says otherwise
+function failureRateFromEnv() {
+    const value = process.env.CHAOS_FAILURE_RATE;
+    if (value === undefined) return 0.5;
+    // Number("") is 0: an empty value is a mistake, not "no chaos"
+    return value.trim() === "" ? NaN : Number(value);
+}
+
+const defaultChaosConfig = () => ({
+    enabled: true,
+    failureRate: failureRateFromEnv(),
+    errorStatusCodes: [500],
+    latency: {
+        // Keep honouring SIMULATE_DELAY_MS as the initial fixed latency
+        distribution: SIMULATE_DELAY_MS > 0 ? "fixed" : "none",
+        ms: SIMULATE_DELAY_MS,
+    },
+    // Per-route overrides, e.g. { "/info": { failureRate: 0.9, errorStatusCodes: [503] } }
+    routes: {},
+});
+
+let chaosConfig = defaultChaosConfig();
+
+// Same rules as PATCH /chaos: a bad CHAOS_FAILURE_RATE (NaN would silently
+// switch failures off) or SIMULATE_DELAY_MS stops the service instead
+const startupProblems = [...validateChaosConfig(chaosConfig), ...latencyRangeProblems(chaosConfig)];
+if (startupProblems.length > 0) {
+    logger.error("FATAL: invalid chaos configuration", { problems: startupProblems });
+    process.exit(1);
+}
+
+const chaosStats = {
+    requests: 0,
+    failuresInjected: 0,
+    delaysInjected: 0,
+    since: new Date().toISOString(),
+};
+
+// Validate a (partial) chaos config. Returns a list of problems, empty if valid.
+function validateChaosConfig(config, prefix = "") {
+    const problems = [];
+
+    if (typeof config !== "object" || config === null || Array.isArray(config)) {
+        return [`${prefix || "config "}must be an object`];
+    }
+    for (const key of Object.keys(config)) {
+        if (!CHAOS_CONFIG_KEYS.includes(key)) {
+            problems.push(`${prefix}${key} is not a chaos setting`);
+        }
+    }
+    if (config.enabled !== undefined && typeof config.enabled !== "boolean") {
+        problems.push(`${prefix}enabled must be a boolean`);
+    }
+    if (config.failureRate !== undefined) {
+        const rate = config.failureRate;
+        if (typeof rate !== "number" || !(rate >= 0 && rate <= 1)) {
+            problems.push(`${prefix}failureRate must be a number between 0 and 1`);
+        }
+    }
+    if (config.errorStatusCodes !== undefined) {
+        const codes = config.errorStatusCodes;
+        if (!Array.isArray(codes) || codes.length === 0
+            || !codes.every(code => Number.isInteger(code) && code >= 400 && code <= 599)) {
+            problems.push(`${prefix}errorStatusCodes must be a non-empty array of 4xx/5xx status codes`);
+        }
+    }
+    if (config.latency !== undefined) {
+        const latency = config.latency;
+        if (typeof latency !== "object" || latency === null) {
+            problems.push(`${prefix}latency must be an object`);
+        } else {
+            if (latency.distribution !== undefined && !LATENCY_DISTRIBUTIONS.includes(latency.distribution)) {
+                problems.push(`${prefix}latency.distribution must be one of ${LATENCY_DISTRIBUTIONS.join(", ")}`);
+            }
+            for (const key of ["ms", "min", "max", "mean", "stddev"]) {
+                const value = latency[key];
+                if (value !== undefined && !(typeof value === "number" && value >= 0 && value <= MAX_LATENCY_MS)) {
+                    problems.push(`${prefix}latency.${key} must be a number from 0 to ${MAX_LATENCY_MS} (ms)`);
+                }
+            }
+        }
+    }
+    if (config.routes !== undefined) {
+        if (typeof config.routes !== "object" || config.routes === null || Array.isArray(config.routes)) {
+            problems.push(`${prefix}routes must be an object keyed by path`);
+        } else {
+            for (const [route, override] of Object.entries(config.routes)) {
+                if (!route.startsWith("/")) {
+                    problems.push(`${prefix}routes key "${route}" must start with /`);
+                } else if (override?.routes !== undefined) {
+                    problems.push(`${prefix}routes["${route}"] cannot contain nested routes`);
+                } else {
+                    problems.push(...validateChaosConfig(override, `routes["${route}"].`));
+                }
+            }
+        }
+    }
+
+    return problems;
+}
+
+// uniform's min > max, checked on the merged settings: a partial update or a
+// route override can set one bound while the other comes from elsewhere
+function latencyRangeProblems(config) {
+    const effective = [
+        ["", config.latency],
+        ...Object.entries(config.routes).map(([route, override]) =>
+            [`routes["${route}"].`, { ...config.latency, ...override.latency }]),
+    ];
+    return effective
+        .filter(([, latency]) => latency.min !== undefined && latency.max !== undefined && latency.min > latency.max)
+        .map(([prefix]) => `${prefix}latency.min must not be greater than latency.max`);
+}
+
+// Resolve the effective settings for a path: global config + the most specific route override
+function resolveChaosFor(path) {
+    const route = Object.keys(chaosConfig.routes)
+        .filter(prefix => path === prefix || path.startsWith(prefix.endsWith("/") ? prefix : `${prefix}/`))
+        .sort((a, b) => b.length - a.length)[0];
+    const override = route ? chaosConfig.routes[route] : {};
+
+    return {
+        route: route ?? null,
+        enabled: override.enabled ?? chaosConfig.enabled,
+        failureRate: override.failureRate ?? chaosConfig.failureRate,
+        errorStatusCodes: override.errorStatusCodes ?? chaosConfig.errorStatusCodes,
+        latency: { ...chaosConfig.latency, ...override.latency },
+    };
+}
+
+// Draw a delay (in ms) from the configured latency distribution
+function sampleLatency(latency) {
+    switch (latency.distribution) {
+        case "fixed":
+            return latency.ms ?? 0;
+        case "uniform": {
+            const min = latency.min ?? 0;
+            const max = latency.max ?? min;
+            return min + Math.random() * Math.max(0, max - min);
+        }
+        case "normal": {
+            // Box-Muller transform
+            const u = 1 - Math.random();
+            const v = Math.random();
+            const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+            return Math.max(0, (latency.mean ?? 0) + z * (latency.stddev ?? 0));
+        }
+        case "exponential":
+            return -Math.log(1 - Math.random()) * (latency.mean ?? 0);
+        default:
+            return 0;
+    }
+}
 
 app.use((req, res, next) => {
-    if (Math.random() < FLAKY_RATE) {
-        console.log(
-            JSON.stringify({
-                timestamp: new Date().toISOString(),
-                msg: "💥 Simulating chaos failure (500)",
-                traceId: req.headers['x-request-id'] || "unknown", // Keep trace context!
-                method: req.method,
-                path: req.path,
-                hostname: os.hostname(),
-            })
-        );
-        return res.status(500).json({ error: "Internal Server Error (Simulated)" });
+    if (CHAOS_EXEMPT_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`))) {
+        return next();
+    }
+
+    const chaos = resolveChaosFor(req.path);
+    if (!chaos.enabled) {
+        return next();
+    }
+    chaosStats.requests++;
+
+    // normal and exponential have no upper bound of their own
+    const delay = Math.min(MAX_LATENCY_MS, Math.round(sampleLatency(chaos.latency)));
+    const shouldFail = Math.random() < chaos.failureRate;
+
+    const act = () => {
+        if (!shouldFail) {
+            return next();
+        }
+
+        const statusCode = chaos.errorStatusCodes[Math.floor(Math.random() * chaos.errorStatusCodes.length)];
+        chaosStats.failuresInjected++;
+        logger.warn(`💥 Simulating chaos failure (${statusCode})`, {
+            traceId: req.headers['x-request-id'] || "unknown", // Keep trace context!
+            method: req.method,
+            path: req.path,
+            route: chaos.route,
+            delayMs: delay,
+        });
+        return res.status(statusCode).json({ error: `Simulated failure (${statusCode})` });
+    };
+
+    // SIMULATE LATENCY
+    if (delay > 0) {
+        chaosStats.delaysInjected++;
+        setTimeout(act, delay);
+    } else {
+        act();
+    }
+});
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+
+/**
+ * Chaos admin API authentication (Bearer token from CHAOS_ADMIN_TOKEN).
+ * Fixed-length digests are compared so the time taken does not leak the token.
+ */
+function requireChaosAdmin(req, res, next) {
+    if (!CHAOS_ADMIN_TOKEN) {
+        return res.status(403).json({ error: "Chaos admin API disabled (CHAOS_ADMIN_TOKEN not set)" });
+    }
+    const [scheme, token = ""] = (req.headers.authorization ?? "").split(" ");
+    if (scheme !== "Bearer" || !crypto.timingSafeEqual(sha256(token), sha256(CHAOS_ADMIN_TOKEN))) {
+        return res.status(401).json({ error: "Unauthorized" });
     }
     next();
+}
+
+/**
+ * Current chaos settings and counters
+ */
+app.get("/chaos", requireChaosAdmin, (_req, res) => {
+    res.json({ config: chaosConfig, stats: chaosStats });
 });
 
-// SIMULATE LATENCY
-const SIMULATE_DELAY_MS = Number(process.env.SIMULATE_DELAY_MS ?? 0);
+/**
+ * Update chaos settings (partial update, `routes` entries are merged by path;
+ * set a route to null to remove its override)
+ */
+app.patch("/chaos", requireChaosAdmin, (req, res) => {
+    const update = req.body ?? {};
+    const routes = update.routes && typeof update.routes === "object"
+        ? Object.fromEntries(Object.entries(update.routes).filter(([, override]) => override !== null))
+        : update.routes;
 
-app.use((req, res, next) => {
-    if (SIMULATE_DELAY_MS > 0) {
-        // console.log(`Simulating delay of ${SIMULATE_DELAY_MS}ms...`);
-        setTimeout(next, SIMULATE_DELAY_MS);
-    } else {
-        next();
+    const problems = validateChaosConfig({ ...update, routes });
+    if (problems.length > 0) {
+        return res.status(400).json({ error: "Invalid chaos config", details: problems });
+    }
+
+    const mergedRoutes = { ...chaosConfig.routes };
+    for (const [route, override] of Object.entries(update.routes ?? {})) {
+        if (override === null) {
+            delete mergedRoutes[route];
+        } else {
+            mergedRoutes[route] = override;
+        }
+    }
+
+    const updated = {
+        ...chaosConfig,
+        ...update,
+        latency: { ...chaosConfig.latency, ...update.latency },
+        routes: mergedRoutes,
+    };
+    const rangeProblems = latencyRangeProblems(updated);
+    if (rangeProblems.length > 0) {
+        return res.status(400).json({ error: "Invalid chaos config", details: rangeProblems });
     }
+    chaosConfig = updated;
+
+    logger.info("Chaos config updated", { config: chaosConfig });
+    res.json({ config: chaosConfig, stats: chaosStats });
+});
+
+/**
+ * Reset chaos settings to their startup defaults
+ */
+app.delete("/chaos", requireChaosAdmin, (_req, res) => {
+    chaosConfig = defaultChaosConfig();
+    logger.info("Chaos config reset", { config: chaosConfig });
+    res.json({ config: chaosConfig, stats: chaosStats });
 });
 
 const port = Number(process.env.PORT ?? 8080);
@@ -107,20 +364,17 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
+    health.markStarted();
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        chaos: chaosConfig,
+        chaosAdminApi: CHAOS_ADMIN_TOKEN ? "enabled" : "disabled",
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -1,19 +1,24 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
-    console.log(
-        JSON.stringify({
-            msg: "request",
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-            timestamp: new Date().toISOString()
-        })
-    );
+    logger.info("request", {
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -83,20 +88,16 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
+    health.markStarted();
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        SIMULATE_DELAY_MS,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
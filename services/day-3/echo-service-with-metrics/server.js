@@ -3,6 +3,13 @@ import os from "os";
 
 import client from 'prom-client';
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 // 1. Create Registry
 const register = new client.Registry();
 client.collectDefaultMetrics({ register }); // CPU, Memory, etc.
@@ -15,7 +22,34 @@ const httpRequestCounter = new client.Counter({
 });
 register.registerMetric(httpRequestCounter);
 
+// Path label: the matched route template (e.g. "/orders/:id"), an allow-listed
+// path (METRICS_PATH_ALLOWLIST="/log,/users/:id") or the bounded "other" bucket.
+// Never the raw URL: every unique path would create a new time series.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const METRICS_PATH_ALLOWLIST = (process.env.METRICS_PATH_ALLOWLIST ?? '')
+    .split(',')
+    .map(template => template.trim())
+    .filter(template => template.startsWith('/'))
+    .map(template => ({
+        template,
+        regex: new RegExp('^' + template.split('/')
+            .map(segment => segment.startsWith(':') ? '[^/]+' : escapeRegExp(segment))
+            .join('/') + '/?$'),
+    }));
+
+function pathLabel(req) {
+    const route = req.route?.path;
+    if (typeof route === 'string' && route !== '*' && route !== '/*') {
+        return req.baseUrl + route;
+    }
+    const allowed = METRICS_PATH_ALLOWLIST.find(({ regex }) => regex.test(req.path));
+    return allowed ? allowed.template : 'other';
+}
+
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 
 // 3. Middleware to Count
@@ -25,7 +59,7 @@ app.use((req, res, next) => {
         if (req.path !== '/metrics' && req.path !== '/healthz') {
             httpRequestCounter.inc({
                 method: req.method,
-                path: req.path,
+                path: pathLabel(req),
                 status_code: res.statusCode,
             });
         }
@@ -42,16 +76,11 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
     const traceId = req.headers['x-request-id'] || "unknown";
 
-    console.log(
-        JSON.stringify({
-            timestamp: new Date().toISOString(),
-            msg: "Handling request",
-            traceId: traceId, // <--- Correlation happens here
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-        })
-    );
+    logger.info("Handling request", {
+        traceId: traceId, // <--- Correlation happens here
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -61,16 +90,11 @@ const FLAKY_RATE = 0.5; // 50% chance of failure
 
 app.use((req, res, next) => {
     if (Math.random() < FLAKY_RATE) {
-        console.log(
-            JSON.stringify({
-                timestamp: new Date().toISOString(),
-                msg: "💥 Simulating chaos failure (500)",
-                traceId: req.headers['x-request-id'] || "unknown", // Keep trace context!
-                method: req.method,
-                path: req.path,
-                hostname: os.hostname(),
-            })
-        );
+        logger.warn("💥 Simulating chaos failure (500)", {
+            traceId: req.headers['x-request-id'] || "unknown", // Keep trace context!
+            method: req.method,
+            path: req.path,
+        });
         return res.status(500).json({ error: "Internal Server Error (Simulated)" });
     }
     next();
@@ -142,20 +166,16 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
+    health.markStarted();
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        SIMULATE_DELAY_MS,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
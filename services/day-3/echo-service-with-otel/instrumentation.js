@@ -1,19 +1,184 @@
 /* instrumentation.js */
-import { NodeSDK } from '@opentelemetry/sdk-node';
+import { NodeSDK, logs, metrics, tracing } from '@opentelemetry/sdk-node';
+import { SpanKind } from '@opentelemetry/api';
 import { getNodeAutoInstrumentations } from '@opentelemetry/auto-instrumentations-node';
-import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-grpc';
+import { OTLPTraceExporter as OTLPTraceExporterGrpc } from '@opentelemetry/exporter-trace-otlp-grpc';
+import { OTLPTraceExporter as OTLPTraceExporterHttp } from '@opentelemetry/exporter-trace-otlp-proto';
+import { OTLPMetricExporter as OTLPMetricExporterGrpc } from '@opentelemetry/exporter-metrics-otlp-grpc';
+import { OTLPMetricExporter as OTLPMetricExporterHttp } from '@opentelemetry/exporter-metrics-otlp-proto';
+import { OTLPLogExporter as OTLPLogExporterGrpc } from '@opentelemetry/exporter-logs-otlp-grpc';
+import { OTLPLogExporter as OTLPLogExporterHttp } from '@opentelemetry/exporter-logs-otlp-proto';
 import { Resource } from '@opentelemetry/resources';
-import { SEMRESATTRS_SERVICE_NAME } from '@opentelemetry/semantic-conventions';
+import {
+    SEMRESATTRS_SERVICE_NAME,
+    SEMRESATTRS_SERVICE_VERSION,
+    SEMRESATTRS_DEPLOYMENT_ENVIRONMENT,
+    SEMRESATTRS_K8S_POD_NAME,
+    SEMRESATTRS_K8S_NAMESPACE_NAME,
+    SEMRESATTRS_K8S_NODE_NAME,
+    SEMATTRS_HTTP_TARGET,
+} from '@opentelemetry/semantic-conventions';
 import { W3CTraceContextPropagator } from '@opentelemetry/core';
 import { CompositePropagator } from '@opentelemetry/core';
 
+import { createLogger } from './logger.js';
+import { onShutdown } from './shutdown.js';
+
+const logger = createLogger({ component: 'otel' });
+
+// OTLP transport: "grpc" (default, port 4317) or "http/protobuf" (port 4318)
+const OTLP_PROTOCOL = process.env.OTEL_EXPORTER_OTLP_PROTOCOL || 'grpc';
+if (!['grpc', 'http/protobuf'].includes(OTLP_PROTOCOL)) {
+    throw new Error(`OTEL_EXPORTER_OTLP_PROTOCOL must be "grpc" or "http/protobuf" (got "${OTLP_PROTOCOL}")`);
+}
+const useGrpc = OTLP_PROTOCOL === 'grpc';
+const OTLP_ENDPOINT = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || (useGrpc ? 'http://localhost:4317' : 'http://localhost:4318'))
+    .replace(/\/+$/, '');
+
+// Signals to export: set OTEL_METRICS_EXPORTER / OTEL_LOGS_EXPORTER to "none" to keep traces only
+const METRICS_EXPORTER = process.env.OTEL_METRICS_EXPORTER || 'otlp';
+const LOGS_EXPORTER = process.env.OTEL_LOGS_EXPORTER || 'otlp';
+const METRIC_EXPORT_INTERVAL_MS = Number(process.env.OTEL_METRIC_EXPORT_INTERVAL ?? 60000);
+
+// gRPC takes the collector address, OTLP/HTTP has one path per signal
+const exporterOptions = (signal) => ({
+    url: useGrpc ? OTLP_ENDPOINT : `${OTLP_ENDPOINT}/v1/${signal}`,
+});
+
+const { AlwaysOnSampler, AlwaysOffSampler, ParentBasedSampler, TraceIdRatioBasedSampler, SamplingDecision } = tracing;
+
+/**
+ * Keeps at most `tracesPerSecond` new traces per second (token bucket, refilled
+ * continuously), so tracing cost stays bounded however much traffic comes in.
+ */
+class RateLimitingSampler {
+    constructor(tracesPerSecond) {
+        this.tracesPerSecond = tracesPerSecond;
+        this.capacity = Math.max(1, tracesPerSecond);
+        this.tokens = this.capacity;
+        this.lastRefill = performance.now();
+    }
+
+    shouldSample() {
+        const now = performance.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.tracesPerSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) {
+            return { decision: SamplingDecision.NOT_RECORD };
+        }
+        this.tokens -= 1;
+        return { decision: SamplingDecision.RECORD_AND_SAMPLED };
+    }
+
+    toString() {
+        return `RateLimitingSampler{${this.tracesPerSecond}/s}`;
+    }
+}
+
+/**
+ * Never samples incoming requests to `paths` (health probes, metrics scrapes),
+ * whatever the caller asked for. Their child spans follow the parent and are dropped too.
+ */
+class IgnorePathsSampler {
+    constructor(paths, delegate) {
+        this.paths = paths;
+        this.delegate = delegate;
+    }
+
+    shouldSample(context, traceId, spanName, spanKind, attributes, links) {
+        const target = attributes?.[SEMATTRS_HTTP_TARGET];
+        if (spanKind === SpanKind.SERVER && typeof target === 'string' && this.paths.includes(target.split('?')[0])) {
+            return { decision: SamplingDecision.NOT_RECORD };
+        }
+        return this.delegate.shouldSample(context, traceId, spanName, spanKind, attributes, links);
+    }
+
+    toString() {
+        return `IgnorePathsSampler{paths=[${this.paths.join(',')}], ${this.delegate.toString()}}`;
+    }
+}
+
+// Sampling, set with OTEL_TRACES_SAMPLER and OTEL_TRACES_SAMPLER_ARG:
+//   always_on, always_off
+//   traceidratio    ARG = share of traces kept, 0..1 (default 1)
+//   ratelimited     ARG = traces kept per second per process (default 10)
+// The "parentbased_" variants (e.g. parentbased_traceidratio) follow the caller's
+// decision from the traceparent header and only apply the strategy to new traces.
+const TRACES_SAMPLER = process.env.OTEL_TRACES_SAMPLER || 'parentbased_always_on';
+const TRACES_SAMPLER_ARG = process.env.OTEL_TRACES_SAMPLER_ARG;
+const TRACES_IGNORE_PATHS = (process.env.OTEL_TRACES_IGNORE_PATHS ?? '/healthz,/livez,/readyz,/startupz,/startup,/metrics')
+    .split(',').map(path => path.trim()).filter(Boolean);
+
+function samplerArg(fallback, isValid) {
+    if (TRACES_SAMPLER_ARG === undefined || TRACES_SAMPLER_ARG === '') return fallback;
+    const value = Number(TRACES_SAMPLER_ARG);
+    if (!Number.isFinite(value) || !isValid(value)) {
+        throw new Error(`OTEL_TRACES_SAMPLER_ARG is invalid for ${TRACES_SAMPLER} (got "${TRACES_SAMPLER_ARG}")`);
+    }
+    return value;
+}
+
+function createSampler(name) {
+    const parentBased = name.startsWith('parentbased_');
+    const strategy = parentBased ? name.slice('parentbased_'.length) : name;
+
+    let root;
+    switch (strategy) {
+        case 'always_on':
+            root = new AlwaysOnSampler();
+            break;
+        case 'always_off':
+            root = new AlwaysOffSampler();
+            break;
+        case 'traceidratio':
+            root = new TraceIdRatioBasedSampler(samplerArg(1, value => value >= 0 && value <= 1));
+            break;
+        case 'ratelimited':
+            root = new RateLimitingSampler(samplerArg(10, value => value > 0));
+            break;
+        default:
+            throw new Error(`OTEL_TRACES_SAMPLER "${name}" is not supported`);
+    }
+
+    const sampler = parentBased ? new ParentBasedSampler({ root }) : root;
+    return TRACES_IGNORE_PATHS.length ? new IgnorePathsSampler(TRACES_IGNORE_PATHS, sampler) : sampler;
+}
+
+const sampler = createSampler(TRACES_SAMPLER);
+
+// Resource attributes describe where the telemetry comes from. The k8s.* values
+// are injected by the Deployment through the downward API; unset ones are left out.
+// OTEL_RESOURCE_ATTRIBUTES (key=value,...) is still applied on top by the SDK.
+const resourceAttributes = Object.fromEntries(Object.entries({
+    [SEMRESATTRS_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'unknown-service',
+    [SEMRESATTRS_SERVICE_VERSION]: process.env.APP_VERSION,
+    [SEMRESATTRS_DEPLOYMENT_ENVIRONMENT]: process.env.DEPLOYMENT_ENVIRONMENT,
+    [SEMRESATTRS_K8S_POD_NAME]: process.env.K8S_POD_NAME,
+    [SEMRESATTRS_K8S_NAMESPACE_NAME]: process.env.K8S_NAMESPACE_NAME,
+    [SEMRESATTRS_K8S_NODE_NAME]: process.env.K8S_NODE_NAME,
+}).filter(([, value]) => value));
+
 const sdk = new NodeSDK({
-    resource: new Resource({
-        [SEMRESATTRS_SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'unknown-service',
-    }),
-    traceExporter: new OTLPTraceExporter({
-        url: process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4317',
-    }),
+    resource: new Resource(resourceAttributes),
+    sampler,
+    traceExporter: useGrpc
+        ? new OTLPTraceExporterGrpc(exporterOptions('traces'))
+        : new OTLPTraceExporterHttp(exporterOptions('traces')),
+    metricReader: METRICS_EXPORTER === 'otlp'
+        ? new metrics.PeriodicExportingMetricReader({
+            exporter: useGrpc
+                ? new OTLPMetricExporterGrpc(exporterOptions('metrics'))
+                : new OTLPMetricExporterHttp(exporterOptions('metrics')),
+            exportIntervalMillis: METRIC_EXPORT_INTERVAL_MS,
+        })
+        : undefined,
+    // Lines written with logger.js are also emitted as OTel log records
+    logRecordProcessor: LOGS_EXPORTER === 'otlp'
+        ? new logs.BatchLogRecordProcessor(useGrpc
+            ? new OTLPLogExporterGrpc(exporterOptions('logs'))
+            : new OTLPLogExporterHttp(exporterOptions('logs')))
+        : undefined,
     textMapPropagator: new CompositePropagator({
         propagators: [new W3CTraceContextPropagator()],
     }),
@@ -26,12 +191,14 @@ const sdk = new NodeSDK({
 });
 
 sdk.start();
-console.log('✨ OpenTelemetry Auto-Instrumentation started');
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    sdk.shutdown()
-        .then(() => console.log('Tracing terminated'))
-        .catch((error) => console.log('Error terminating tracing', error))
-        .finally(() => process.exit(0));
+logger.info('✨ OpenTelemetry Auto-Instrumentation started', {
+    protocol: OTLP_PROTOCOL,
+    endpoint: OTLP_ENDPOINT,
+    metrics: METRICS_EXPORTER,
+    logs: LOGS_EXPORTER,
+    sampler: sampler.toString(),
+    resource: resourceAttributes,
 });
+
+// Flush spans, metrics and logs once the server has drained its in-flight requests
+onShutdown('otel', () => sdk.shutdown().then(() => logger.info('Telemetry flushed')));
@@ -0,0 +1,127 @@
+/* shutdown.js */
+// Graceful shutdown for Kubernetes. On SIGTERM (rolling update, HPA scale-down,
+// node drain / PDB eviction) the pod keeps serving what it already accepted:
+//   1. readiness fails, so the pod is taken out of the Service endpoints
+//   2. after SHUTDOWN_DELAY_MS (time for kube-proxy to catch up) the server
+//      stops accepting new connections
+//   3. in-flight requests drain, up to SHUTDOWN_TIMEOUT_MS
+//   4. shutdown hooks run (e.g. flushing telemetry)
+//   5. the process exits
+// Keep DELAY + TIMEOUT + SHUTDOWN_HOOK_TIMEOUT_MS below terminationGracePeriodSeconds (30s by default).
+import { createLogger } from "./logger.js";
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+const SHUTDOWN_DELAY_MS = numberFromEnv("SHUTDOWN_DELAY_MS", 5000);
+const SHUTDOWN_TIMEOUT_MS = numberFromEnv("SHUTDOWN_TIMEOUT_MS", 15000);
+const SHUTDOWN_HOOK_TIMEOUT_MS = numberFromEnv("SHUTDOWN_HOOK_TIMEOUT_MS", 5000);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Module state is shared by everything that imports this file (instrumentation.js and server.js)
+const hooks = [];
+let shuttingDown = false;
+let inFlight = 0;
+
+/**
+ * Register a hook to run once in-flight requests are drained, e.g.
+ * `onShutdown("otel", () => sdk.shutdown())`. Hooks run in parallel.
+ */
+export function onShutdown(name, hook) {
+    hooks.push({ name, hook });
+}
+
+export function isShuttingDown() {
+    return shuttingDown;
+}
+
+/**
+ * Express middleware counting in-flight requests. Once shutdown has started,
+ * responses carry `Connection: close` so keep-alive clients reconnect to another pod.
+ */
+export function trackInFlight(_req, res, next) {
+    inFlight++;
+    let done = false;
+    const finish = () => {
+        if (done) return;
+        done = true;
+        inFlight--;
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+
+    if (shuttingDown) res.set("Connection", "close");
+    next();
+}
+
+/**
+ * Readiness probe handler: 200 while serving, 503 once shutdown has started.
+ */
+export function readinessProbe(_req, res) {
+    if (shuttingDown) {
+        return res.status(503).json({ status: "shutting_down" });
+    }
+    res.status(200).json({ status: "ready" });
+}
+
+/**
+ * Run the shutdown sequence for `server` (the value returned by app.listen())
+ * on SIGTERM and SIGINT. SIGINT (Ctrl+C locally) skips the endpoint delay.
+ */
+export function handleShutdown(server, { logger = createLogger({ component: "shutdown" }) } = {}) {
+    const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+
+        const delayMs = signal === "SIGTERM" ? SHUTDOWN_DELAY_MS : 0;
+        logger.info(`${signal} received, shutting down`, {
+            inFlight,
+            delayMs,
+            timeoutMs: SHUTDOWN_TIMEOUT_MS,
+        });
+
+        // 1. Readiness is failing now, wait for the pod to leave the Service endpoints
+        await sleep(delayMs);
+
+        // 2. Stop accepting connections, close the idle keep-alive ones
+        const closed = new Promise(resolve => server.close(resolve));
+        server.closeIdleConnections();
+
+        // 3. Drain in-flight requests until the deadline
+        const drained = await Promise.race([
+            closed.then(() => true),
+            sleep(SHUTDOWN_TIMEOUT_MS).then(() => false),
+        ]);
+        if (drained) {
+            logger.info("In-flight requests drained");
+        } else {
+            logger.warn("Shutdown deadline reached, closing remaining connections", { inFlight });
+            server.closeAllConnections();
+        }
+
+        // 4. Flush telemetry and friends
+        const results = await Promise.race([
+            Promise.allSettled(hooks.map(({ hook }) => hook())),
+            sleep(SHUTDOWN_HOOK_TIMEOUT_MS).then(() => null),
+        ]);
+        if (results === null) {
+            logger.warn("Shutdown hooks timed out", { hooks: hooks.map(({ name }) => name) });
+        } else {
+            results.forEach((result, i) => {
+                if (result.status === "rejected") {
+                    logger.error(`Shutdown hook "${hooks[i].name}" failed`, { error: result.reason });
+                }
+            });
+        }
+
+        // 5. Exit
+        logger.info("Shutdown complete");
+        process.exit(drained ? 0 : 1);
+    };
+
+    process.once("SIGTERM", () => shutdown("SIGTERM"));
+    process.once("SIGINT", () => shutdown("SIGINT"));
+}
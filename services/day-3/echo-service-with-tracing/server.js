@@ -1,22 +1,27 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
     const traceId = req.headers['x-request-id'] || "unknown";
 
-    console.log(
-        JSON.stringify({
-            timestamp: new Date().toISOString(),
-            msg: "Handling request",
-            traceId: traceId, // <--- Correlation happens here
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-        })
-    );
+    logger.info("Handling request", {
+        traceId: traceId, // <--- Correlation happens here
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -86,20 +91,16 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
+    health.markStarted();
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        SIMULATE_DELAY_MS,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -3,11 +3,16 @@ import os from "os";
 
 import client from 'prom-client';
 
+import { createLogger } from "./logger.js";
+import { createHealth, HEALTH_PATHS, httpCheck } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+import { createRetryPolicy, describeRetryPolicy, fetchWithRetry } from "./retry.js";
+
 // 1. Create Registry
 const register = new client.Registry();
 client.collectDefaultMetrics({ register }); // CPU, Memory, etc.
 
-// 2. Define Custom Metric (RED: Rate & Errors)
+// 2. Define Custom Metrics (RED: Rate, Errors & Duration)
 const httpRequestCounter = new client.Counter({
     name: 'http_requests_total',
     help: 'Total number of HTTP requests',
@@ -15,19 +20,121 @@ const httpRequestCounter = new client.Counter({
 });
 register.registerMetric(httpRequestCounter);
 
+// Duration (the D in RED). Buckets in seconds, override with HTTP_DURATION_BUCKETS="0.01,0.1,1"
+const parseBuckets = (value, fallback) => {
+    const buckets = (value ?? "").split(",").map(Number).filter(bucket => bucket > 0);
+    return buckets.length > 0 ? buckets.sort((a, b) => a - b) : fallback;
+};
+const HTTP_DURATION_BUCKETS = parseBuckets(
+    process.env.HTTP_DURATION_BUCKETS,
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+const DEPENDENCY_DURATION_BUCKETS = parseBuckets(process.env.DEPENDENCY_DURATION_BUCKETS, HTTP_DURATION_BUCKETS);
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests in seconds',
+    labelNames: ['method', 'path', 'status_code'],
+    buckets: HTTP_DURATION_BUCKETS,
+});
+register.registerMetric(httpRequestDuration);
+
+// 2b. Outbound dependency metrics (recorded by fetchWithRetry, see retry.js)
+// Retry amplification = rate(dependency_attempts_total) / rate(dependency_requests_total)
+const dependencyRequestCounter = new client.Counter({
+    name: 'dependency_requests_total',
+    help: 'Total number of logical dependency calls, by final outcome',
+    labelNames: ['dependency', 'outcome'],
+});
+register.registerMetric(dependencyRequestCounter);
+
+const dependencyAttemptCounter = new client.Counter({
+    name: 'dependency_attempts_total',
+    help: 'Total number of dependency call attempts (first try and retries)',
+    labelNames: ['dependency', 'status_code'],
+});
+register.registerMetric(dependencyAttemptCounter);
+
+const dependencyRetryCounter = new client.Counter({
+    name: 'dependency_retries_total',
+    help: 'Total number of dependency call retries, by reason',
+    labelNames: ['dependency', 'reason'],
+});
+register.registerMetric(dependencyRetryCounter);
+
+const dependencyAttemptDuration = new client.Histogram({
+    name: 'dependency_attempt_duration_seconds',
+    help: 'Upstream latency of a single dependency call attempt in seconds',
+    labelNames: ['dependency', 'status_code'],
+    buckets: DEPENDENCY_DURATION_BUCKETS,
+});
+register.registerMetric(dependencyAttemptDuration);
+
+const dependencyRequestDuration = new client.Histogram({
+    name: 'dependency_request_duration_seconds',
+    help: 'Duration of logical dependency calls in seconds, retries and backoff included',
+    labelNames: ['dependency', 'outcome'],
+    buckets: DEPENDENCY_DURATION_BUCKETS,
+});
+register.registerMetric(dependencyRequestDuration);
+
+// Observer for fetchWithRetry that feeds the dependency metrics
+const dependencyMetrics = (dependency) => ({
+    onAttempt({ status, durationMs }) {
+        const status_code = status === null ? 'error' : String(status);
+        dependencyAttemptCounter.inc({ dependency, status_code });
+        dependencyAttemptDuration.observe({ dependency, status_code }, durationMs / 1000);
+    },
+    onRetry({ reason }) {
+        dependencyRetryCounter.inc({ dependency, reason });
+    },
+    onOutcome({ outcome, durationMs }) {
+        dependencyRequestCounter.inc({ dependency, outcome });
+        dependencyRequestDuration.observe({ dependency, outcome }, durationMs / 1000);
+    },
+});
+
+// Path label: the matched route template (e.g. "/orders/:id"), an allow-listed
+// path (METRICS_PATH_ALLOWLIST="/log,/users/:id") or the bounded "other" bucket.
+// Never the raw URL: every unique path would create a new time series.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const METRICS_PATH_ALLOWLIST = (process.env.METRICS_PATH_ALLOWLIST ?? '')
+    .split(',')
+    .map(template => template.trim())
+    .filter(template => template.startsWith('/'))
+    .map(template => ({
+        template,
+        regex: new RegExp('^' + template.split('/')
+            .map(segment => segment.startsWith(':') ? '[^/]+' : escapeRegExp(segment))
+            .join('/') + '/?$'),
+    }));
+
+function pathLabel(req) {
+    const route = req.route?.path;
+    if (typeof route === 'string' && route !== '*' && route !== '/*') {
+        return req.baseUrl + route;
+    }
+    const allowed = METRICS_PATH_ALLOWLIST.find(({ regex }) => regex.test(req.path));
+    return allowed ? allowed.template : 'other';
+}
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 // 3. Middleware to Count
 app.use((req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer();
     res.on('finish', () => {
         // Only count interesting paths (ignore health checks to reduce noise)
-        if (req.path !== '/metrics' && req.path !== '/healthz') {
-            httpRequestCounter.inc({
+        if (req.path !== '/metrics' && req.path !== '/healthz' && !HEALTH_PATHS.includes(req.path)) {
+            const labels = {
                 method: req.method,
-                path: req.path,
+                path: pathLabel(req),
                 status_code: res.statusCode,
-            });
+            };
+            httpRequestCounter.inc(labels);
+            endTimer(labels);
         }
     });
     next();
@@ -43,28 +150,22 @@ const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
 
-// Middleware to log every request
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
+// Health probes: /livez, /readyz, /startupz (see health.js)
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+app.use(health.router);
+
 // Middleware to log every request
 app.use((req, res, next) => {
     // 1. Get or Generate Trace ID
     const traceId = req.headers['x-request-id'] || crypto.randomUUID();
 
-    // Attach traceId to request object for use in route handlers
+    // Attach traceId (and a logger that always includes it) to the request for use in route handlers
     req.traceId = traceId;
+    req.log = logger.child({ traceId });
 
-    const context = {
-        timestamp: new Date().toISOString(),
-        msg: "Handling request",
-        traceId: traceId,
-        method: req.method,
-        path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
-        // headers: req.headers, // Optional: reduce noise
-    };
-
-    // Log to stdout (standard way in K8s)
-    console.log(JSON.stringify(context));
+    req.log.info("Handling request", { method: req.method, path: req.path });
 
     next();
 });
@@ -73,48 +174,23 @@ app.use((req, res, next) => {
 // Mock dependency URL (in K8s this would be the service DNS)
 const DEPENDENCY_URL = process.env.DEPENDENCY_URL || "http://echo-service:8080/info";
 
-// Helper: Wait function
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Helper: Fetch with Retry
-async function fetchWithRetry(url, options = {}, retriesLeft = 3) {
-    const MAX_RETRIES = 3;
-    const attempt = MAX_RETRIES - retriesLeft + 1;
-    const backoff = 100 * Math.pow(2, attempt - 1); // recalculate backoff based on attempt
-
-    try {
-        const response = await fetch(url, options);
-
-        // Success: Return response
-        if (response.ok) {
-            console.log(`✅ Dependency call succeeded on attempt #${attempt}`);
-            return response;
-        }
-
-        // Failure (4xx): Do NOT retry client errors
-        if (response.status >= 400 && response.status < 500) return response;
-
-        throw new Error(`Server returned ${response.status}`);
-    } catch (error) {
-        if (retriesLeft === 0) throw error; // No more retries
-
-        // Jitter: Add random 0-50ms to avoid thundering herd
-        const jitter = Math.floor(Math.random() * 50);
-        const delay = backoff + jitter;
+// Readiness: take this pod out of rotation while the dependency is unreachable
+// (DEPENDENCY_REQUIRED=false only reports it in /readyz)
+const DEPENDENCY_HEALTH_URL = process.env.DEPENDENCY_HEALTH_URL || new URL("/livez", DEPENDENCY_URL).href;
+health.registerCheck("dependency", httpCheck(DEPENDENCY_HEALTH_URL), {
+    critical: process.env.DEPENDENCY_REQUIRED !== "false",
+});
 
-        console.warn(`Request failed: ${error.message}. Retrying in ${delay}ms... (${retriesLeft} retries left)`);
-        await sleep(delay);
-
-        // Recursive retry
-        return fetchWithRetry(url, options, retriesLeft - 1);
-    }
-}
+// Retry policy (RETRY_* env vars, see retry.js)
+const retryPolicy = createRetryPolicy({ logger: logger.child({ component: "retry" }) });
+const DEPENDENCY_NAME = process.env.DEPENDENCY_NAME || "echo-service";
+const dependencyObserver = dependencyMetrics(DEPENDENCY_NAME);
 
 app.all("*", async (req, res) => {
     let dependencyInfo = null;
 
     try {
-        console.log(`Calling dependency: ${DEPENDENCY_URL}`);
+        req.log.info(`Calling dependency: ${DEPENDENCY_URL}`);
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 1000); // 1s timeout
@@ -126,7 +202,7 @@ app.all("*", async (req, res) => {
                     'X-Request-ID': req.traceId // <--- Use ID from middleware
                 }
             };
-            const response = await fetchWithRetry(DEPENDENCY_URL, fetchOptions);
+            const response = await fetchWithRetry(DEPENDENCY_URL, fetchOptions, retryPolicy, dependencyObserver);
             if (response.ok) {
                 dependencyInfo = await response.json();
             } else {
@@ -137,10 +213,10 @@ app.all("*", async (req, res) => {
         }
     } catch (error) {
         if (error.name === 'AbortError') {
-            console.warn("Dependency call timed out");
+            req.log.warn("Dependency call timed out", { dependency: DEPENDENCY_URL });
             dependencyInfo = { error: "upstream_dependency_timeout", degraded: true };
         } else {
-            console.error("Dependency call failed:", error.message);
+            req.log.error("Dependency call failed", { dependency: DEPENDENCY_URL, error });
             dependencyInfo = { error: error.message };
         }
     }
@@ -163,6 +239,13 @@ app.all("*", async (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    health.markStarted();
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, {
+        port,
+        logLevel: LOG_LEVEL,
+        retryPolicy: describeRetryPolicy(retryPolicy),
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
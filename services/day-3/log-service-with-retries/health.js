@@ -0,0 +1,126 @@
+/* health.js */
+// Health endpoints with one meaning per Kubernetes probe:
+//   /livez     the process is up and serving HTTP. Never looks at dependencies:
+//              a failing liveness probe restarts the container, which cannot fix echo-service.
+//   /startupz  initialisation is finished (markStarted()).
+//   /readyz    this pod should receive traffic: started, not shutting down and every
+//              critical registered check passes. The body lists each check.
+import express from "express";
+
+import { createLogger } from "./logger.js";
+import { isShuttingDown } from "./shutdown.js";
+
+export const HEALTH_PATHS = ["/livez", "/readyz", "/startupz"];
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+// Keep it below the probes' timeoutSeconds
+const HEALTH_CHECK_TIMEOUT_MS = numberFromEnv("HEALTH_CHECK_TIMEOUT_MS", 1000);
+
+async function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    try {
+        return await Promise.race([promise, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Check that `url` answers without a server error. Any status below 500 counts:
+ * a 404 still proves the dependency is reachable.
+ */
+export function httpCheck(url, { timeoutMs = HEALTH_CHECK_TIMEOUT_MS } = {}) {
+    return async () => {
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+            await response.body?.cancel();
+            return { ok: response.status < 500, url, statusCode: response.status };
+        } catch (error) {
+            // fetch() hides the network error (ECONNREFUSED, ENOTFOUND...) in `cause`
+            return { ok: false, url, error: error.cause?.message ?? error.message };
+        }
+    };
+}
+
+/**
+ * Create the health state of a service. Checks return `{ ok, ...details }`
+ * (or throw); non-critical checks are reported but do not fail readiness.
+ */
+export function createHealth({ logger = createLogger({ component: "health" }), timeoutMs = HEALTH_CHECK_TIMEOUT_MS } = {}) {
+    const checks = new Map();
+    let started = false;
+    let wasReady = null;
+
+    const runCheck = async ({ check, critical }) => {
+        const start = performance.now();
+        try {
+            const { ok, ...details } = await withTimeout(Promise.resolve().then(check), timeoutMs);
+            return { status: ok ? "pass" : "fail", critical, durationMs: Math.round(performance.now() - start), ...details };
+        } catch (error) {
+            return { status: "fail", critical, durationMs: Math.round(performance.now() - start), error: error.message };
+        }
+    };
+
+    const readiness = async () => {
+        const names = [...checks.keys()];
+        const results = await Promise.all([...checks.values()].map(runCheck));
+        const breakdown = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+        const failing = names.filter(name => breakdown[name].critical && breakdown[name].status === "fail");
+        const shuttingDown = isShuttingDown();
+        const ready = started && !shuttingDown && failing.length === 0;
+
+        // Log transitions only, probes run every few seconds
+        if (ready !== wasReady) {
+            if (ready) {
+                logger.info("Ready to receive traffic");
+            } else {
+                logger.warn("Not ready, leaving the load balancer rotation", { started, shuttingDown, failing });
+            }
+            wasReady = ready;
+        }
+
+        return { status: ready ? "ready" : "not_ready", started, shuttingDown, checks: breakdown };
+    };
+
+    const router = express.Router();
+
+    router.get("/livez", (_req, res) => {
+        res.status(200).json({ status: "ok", uptimeSeconds: Math.floor(process.uptime()) });
+    });
+
+    router.get("/startupz", (_req, res) => {
+        res.status(started ? 200 : 503).json({ status: started ? "started" : "starting" });
+    });
+
+    router.get("/readyz", async (_req, res) => {
+        const report = await readiness();
+        res.status(report.status === "ready" ? 200 : 503).json(report);
+    });
+
+    return {
+        router,
+
+        /**
+         * Add a readiness check, e.g. registerCheck("dependency", httpCheck(url)).
+         */
+        registerCheck(name, check, { critical = true } = {}) {
+            checks.set(name, { check, critical });
+        },
+
+        markStarted() {
+            started = true;
+        },
+
+        isStarted() {
+            return started;
+        },
+    };
+}
@@ -1,35 +1,35 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth, httpCheck } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+import { createRetryPolicy, describeRetryPolicy, fetchWithRetry } from "./retry.js";
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
 
-// Middleware to log every request
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
+// Health probes: /livez, /readyz, /startupz (see health.js)
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+app.use(health.router);
+
 // Middleware to log every request
 app.use((req, res, next) => {
     // 1. Get or Generate Trace ID
     const traceId = req.headers['x-request-id'] || crypto.randomUUID();
 
-    // Attach traceId to request object for use in route handlers
+    // Attach traceId (and a logger that always includes it) to the request for use in route handlers
     req.traceId = traceId;
+    req.log = logger.child({ traceId });
 
-    const context = {
-        timestamp: new Date().toISOString(),
-        msg: "Handling request",
-        traceId: traceId,
-        method: req.method,
-        path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
-        // headers: req.headers, // Optional: reduce noise
-    };
-
-    // Log to stdout (standard way in K8s)
-    console.log(JSON.stringify(context));
+    req.log.info("Handling request", { method: req.method, path: req.path });
 
     next();
 });
@@ -38,48 +38,152 @@ app.use((req, res, next) => {
 // Mock dependency URL (in K8s this would be the service DNS)
 const DEPENDENCY_URL = process.env.DEPENDENCY_URL || "http://echo-service:8080/info";
 
-// Helper: Wait function
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Readiness: take this pod out of rotation while the dependency is unreachable
+// (DEPENDENCY_REQUIRED=false only reports it in /readyz)
+const DEPENDENCY_HEALTH_URL = process.env.DEPENDENCY_HEALTH_URL || new URL("/livez", DEPENDENCY_URL).href;
+health.registerCheck("dependency", httpCheck(DEPENDENCY_HEALTH_URL), {
+    critical: process.env.DEPENDENCY_REQUIRED !== "false",
+});
+
+// Retry policy (RETRY_* env vars, see retry.js)
+const retryPolicy = createRetryPolicy({ logger: logger.child({ component: "retry" }) });
+
+// CIRCUIT BREAKER
+// Wraps the whole fetchWithRetry call. After too many consecutive failures the
+// circuit OPENS and calls fail fast (no retries at all) until the cool-down is
+// over. Then a few trial calls are let through (HALF_OPEN): if they succeed the
+// circuit CLOSES again, if one fails it goes straight back to OPEN.
+const CB_FAILURE_THRESHOLD = Number(process.env.CB_FAILURE_THRESHOLD ?? 5);
+const CB_SUCCESS_THRESHOLD = Number(process.env.CB_SUCCESS_THRESHOLD ?? 2);
+const CB_COOLDOWN_MS = Number(process.env.CB_COOLDOWN_MS ?? 10000);
+const CB_HALF_OPEN_MAX_CALLS = Number(process.env.CB_HALF_OPEN_MAX_CALLS ?? 1);
+
+class CircuitOpenError extends Error {
+    constructor(retryAfterMs) {
+        super("Circuit breaker is open");
+        this.name = "CircuitOpenError";
+        this.retryAfterMs = retryAfterMs;
+    }
+}
 
-// Helper: Fetch with Retry
-async function fetchWithRetry(url, options = {}, retriesLeft = 3) {
-    const MAX_RETRIES = 3;
-    const attempt = MAX_RETRIES - retriesLeft + 1;
-    const backoff = 100 * Math.pow(2, attempt - 1); // recalculate backoff based on attempt
+function createCircuitBreaker(name, {
+    failureThreshold = CB_FAILURE_THRESHOLD,
+    successThreshold = CB_SUCCESS_THRESHOLD,
+    cooldownMs = CB_COOLDOWN_MS,
+    halfOpenMaxCalls = CB_HALF_OPEN_MAX_CALLS,
+} = {}) {
+    let state = "CLOSED";
+    let consecutiveFailures = 0;
+    let halfOpenSuccesses = 0;
+    let halfOpenInFlight = 0;
+    let openedAt = null;
+    const stats = { calls: 0, successes: 0, failures: 0, rejected: 0 };
+    const transitions = [];
+
+    const transition = (to, reason) => {
+        transitions.push({ from: state, to, reason, at: new Date().toISOString() });
+        if (transitions.length > 20) transitions.shift();
+        logger.warn(`⚡ Circuit breaker "${name}": ${state} -> ${to} (${reason})`, {
+            circuitBreaker: name, from: state, to, reason,
+        });
+
+        state = to;
+        halfOpenSuccesses = 0;
+        halfOpenInFlight = 0;
+        openedAt = to === "OPEN" ? Date.now() : null;
+        if (to === "CLOSED") consecutiveFailures = 0;
+    };
 
-    try {
-        const response = await fetch(url, options);
+    const remainingCooldown = () => Math.max(0, openedAt + cooldownMs - Date.now());
 
-        // Success: Return response
-        if (response.ok) {
-            console.log(`✅ Dependency call succeeded on attempt #${attempt}`);
-            return response;
+    const onSuccess = () => {
+        stats.successes++;
+        consecutiveFailures = 0;
+        if (state === "HALF_OPEN") {
+            halfOpenSuccesses++;
+            if (halfOpenSuccesses >= successThreshold) {
+                transition("CLOSED", `${halfOpenSuccesses} successful trial calls`);
+            }
         }
+    };
 
-        // Failure (4xx): Do NOT retry client errors
-        if (response.status >= 400 && response.status < 500) return response;
-
-        throw new Error(`Server returned ${response.status}`);
-    } catch (error) {
-        if (retriesLeft === 0) throw error; // No more retries
+    const onFailure = (error) => {
+        stats.failures++;
+        consecutiveFailures++;
+        if (state === "HALF_OPEN") {
+            transition("OPEN", `trial call failed: ${error.message}`);
+        } else if (state === "CLOSED" && consecutiveFailures >= failureThreshold) {
+            transition("OPEN", `${consecutiveFailures} consecutive failures`);
+        }
+    };
 
-        // Jitter: Add random 0-50ms to avoid thundering herd
-        const jitter = Math.floor(Math.random() * 50);
-        const delay = backoff + jitter;
+    return {
+        // Run fn() through the breaker. fn must throw (or reject) to signal a failure.
+        async call(fn) {
+            if (state === "OPEN") {
+                if (remainingCooldown() > 0) {
+                    stats.rejected++;
+                    throw new CircuitOpenError(remainingCooldown());
+                }
+                transition("HALF_OPEN", "cool-down elapsed");
+            }
+            if (state === "HALF_OPEN") {
+                if (halfOpenInFlight >= halfOpenMaxCalls) {
+                    stats.rejected++;
+                    throw new CircuitOpenError(0);
+                }
+                halfOpenInFlight++;
+            }
 
-        console.warn(`Request failed: ${error.message}. Retrying in ${delay}ms... (${retriesLeft} retries left)`);
-        await sleep(delay);
+            const wasHalfOpen = state === "HALF_OPEN";
+            stats.calls++;
+            try {
+                const result = await fn();
+                onSuccess();
+                return result;
+            } catch (error) {
+                onFailure(error);
+                throw error;
+            } finally {
+                if (wasHalfOpen && state === "HALF_OPEN") halfOpenInFlight--;
+            }
+        },
 
-        // Recursive retry
-        return fetchWithRetry(url, options, retriesLeft - 1);
-    }
+        snapshot() {
+            return {
+                name,
+                state,
+                consecutiveFailures,
+                retryAfterMs: state === "OPEN" ? remainingCooldown() : 0,
+                config: { failureThreshold, successThreshold, cooldownMs, halfOpenMaxCalls },
+                stats: { ...stats },
+                transitions: [...transitions],
+            };
+        },
+    };
 }
 
+const dependencyBreaker = createCircuitBreaker("echo-service");
+
+// Not ready while the circuit is open. Once the cool-down is over the next call
+// may close it again, so the check passes and lets traffic in for the trial calls.
+health.registerCheck("circuit-breaker", () => {
+    const { state, retryAfterMs } = dependencyBreaker.snapshot();
+    return { ok: state !== "OPEN" || retryAfterMs === 0, state, retryAfterMs };
+});
+
+/**
+ * Circuit breaker state (watch it open while echo-service-flaky misbehaves)
+ */
+app.get("/circuit-breaker", (_req, res) => {
+    res.json(dependencyBreaker.snapshot());
+});
+
 app.all("*", async (req, res) => {
     let dependencyInfo = null;
 
     try {
-        console.log(`Calling dependency: ${DEPENDENCY_URL}`);
+        req.log.info(`Calling dependency: ${DEPENDENCY_URL}`);
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 1000); // 1s timeout
@@ -91,7 +195,8 @@ app.all("*", async (req, res) => {
                     'X-Request-ID': req.traceId // <--- Use ID from middleware
                 }
             };
-            const response = await fetchWithRetry(DEPENDENCY_URL, fetchOptions);
+            // fetchWithRetry throws once retries are exhausted, which the breaker counts as a failure
+            const response = await dependencyBreaker.call(() => fetchWithRetry(DEPENDENCY_URL, fetchOptions, retryPolicy));
             if (response.ok) {
                 dependencyInfo = await response.json();
             } else {
@@ -101,11 +206,18 @@ app.all("*", async (req, res) => {
             clearTimeout(timeoutId);
         }
     } catch (error) {
-        if (error.name === 'AbortError') {
-            console.warn("Dependency call timed out");
+        if (error instanceof CircuitOpenError) {
+            // Fail fast: no call, no retries, just a degraded fallback
+            dependencyInfo = {
+                error: "circuit_open",
+                degraded: true,
+                retryAfterMs: error.retryAfterMs
+            };
+        } else if (error.name === 'AbortError') {
+            req.log.warn("Dependency call timed out", { dependency: DEPENDENCY_URL });
             dependencyInfo = { error: "upstream_dependency_timeout", degraded: true };
         } else {
-            console.error("Dependency call failed:", error.message);
+            req.log.error("Dependency call failed", { dependency: DEPENDENCY_URL, error });
             dependencyInfo = { error: error.message };
         }
     }
@@ -128,6 +240,13 @@ app.all("*", async (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    health.markStarted();
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, {
+        port,
+        logLevel: LOG_LEVEL,
+        retryPolicy: describeRetryPolicy(retryPolicy),
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
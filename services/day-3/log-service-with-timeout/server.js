@@ -1,26 +1,32 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth, httpCheck } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
 
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
+// Health probes: /livez, /readyz, /startupz (see health.js)
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+app.use(health.router);
+
 // Middleware to log every request
 app.use((req, res, next) => {
-    const context = {
-        timestamp: new Date().toISOString(),
+    // Log to stdout (standard way in K8s)
+    logger.info("Handling request", {
         method: req.method,
         path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
         headers: req.headers,
-    };
-
-    // Log to stdout (standard way in K8s)
-    console.log(JSON.stringify(context));
+    });
 
     next();
 });
@@ -29,11 +35,19 @@ app.use((req, res, next) => {
 // Mock dependency URL (in K8s this would be the service DNS)
 const DEPENDENCY_URL = process.env.DEPENDENCY_URL || "http://echo-service:8080/info";
 
+// Readiness: the dependency is only reported in /readyz. This service is the
+// graceful-degradation demo, a degraded answer beats none; DEPENDENCY_REQUIRED=true
+// takes the pod out of rotation while the dependency is unreachable instead
+const DEPENDENCY_HEALTH_URL = process.env.DEPENDENCY_HEALTH_URL || new URL("/livez", DEPENDENCY_URL).href;
+health.registerCheck("dependency", httpCheck(DEPENDENCY_HEALTH_URL), {
+    critical: process.env.DEPENDENCY_REQUIRED === "true",
+});
+
 app.all("*", async (req, res) => {
     let dependencyInfo = null;
 
     try {
-        console.log(`Calling dependency: ${DEPENDENCY_URL}`);
+        logger.info(`Calling dependency: ${DEPENDENCY_URL}`);
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 1000); // 1s timeout
@@ -50,10 +64,10 @@ app.all("*", async (req, res) => {
         }
     } catch (error) {
         if (error.name === 'AbortError') {
-            console.warn("Dependency call timed out");
+            logger.warn("Dependency call timed out", { dependency: DEPENDENCY_URL });
             dependencyInfo = { error: "upstream_dependency_timeout", degraded: true };
         } else {
-            console.error("Dependency call failed:", error.message);
+            logger.error("Dependency call failed", { dependency: DEPENDENCY_URL, error });
             dependencyInfo = { error: error.message };
         }
     }
@@ -76,6 +90,9 @@ app.all("*", async (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    health.markStarted();
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, { port, logLevel: LOG_LEVEL });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -1,35 +1,34 @@
 import express from "express";
 import os from "os";
 
+import { createLogger } from "./logger.js";
+import { createHealth, httpCheck } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
 
-// Middleware to log every request
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
+// Health probes: /livez, /readyz, /startupz (see health.js)
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+app.use(health.router);
+
 // Middleware to log every request
 app.use((req, res, next) => {
     // 1. Get or Generate Trace ID
     const traceId = req.headers['x-request-id'] || crypto.randomUUID();
 
-    // Attach traceId to request object for use in route handlers
+    // Attach traceId (and a logger that always includes it) to the request for use in route handlers
     req.traceId = traceId;
+    req.log = logger.child({ traceId });
 
-    const context = {
-        timestamp: new Date().toISOString(),
-        msg: "Handling request",
-        traceId: traceId,
-        method: req.method,
-        path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
-        // headers: req.headers, // Optional: reduce noise
-    };
-
-    // Log to stdout (standard way in K8s)
-    console.log(JSON.stringify(context));
+    req.log.info("Handling request", { method: req.method, path: req.path });
 
     next();
 });
@@ -38,11 +37,18 @@ app.use((req, res, next) => {
 // Mock dependency URL (in K8s this would be the service DNS)
 const DEPENDENCY_URL = process.env.DEPENDENCY_URL || "http://echo-service:8080/info";
 
+// Readiness: take this pod out of rotation while the dependency is unreachable
+// (DEPENDENCY_REQUIRED=false only reports it in /readyz)
+const DEPENDENCY_HEALTH_URL = process.env.DEPENDENCY_HEALTH_URL || new URL("/livez", DEPENDENCY_URL).href;
+health.registerCheck("dependency", httpCheck(DEPENDENCY_HEALTH_URL), {
+    critical: process.env.DEPENDENCY_REQUIRED !== "false",
+});
+
 app.all("*", async (req, res) => {
     let dependencyInfo = null;
 
     try {
-        console.log(`Calling dependency: ${DEPENDENCY_URL}`);
+        req.log.info(`Calling dependency: ${DEPENDENCY_URL}`);
 
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 1000); // 1s timeout
@@ -64,10 +70,10 @@ app.all("*", async (req, res) => {
         }
     } catch (error) {
         if (error.name === 'AbortError') {
-            console.warn("Dependency call timed out");
+            req.log.warn("Dependency call timed out", { dependency: DEPENDENCY_URL });
             dependencyInfo = { error: "upstream_dependency_timeout", degraded: true };
         } else {
-            console.error("Dependency call failed:", error.message);
+            req.log.error("Dependency call failed", { dependency: DEPENDENCY_URL, error });
             dependencyInfo = { error: error.message };
         }
     }
@@ -90,6 +96,9 @@ app.all("*", async (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    health.markStarted();
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, { port, logLevel: LOG_LEVEL });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
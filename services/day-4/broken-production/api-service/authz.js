@@ -0,0 +1,134 @@
+/* authz.js */
+// Who may do what, from the claims auth-service returns for a token:
+//   scopes   what the client was allowed to ask for: orders:read to look at
+//            orders, orders:write to create or change them
+//   roles    of the client (AUTH_CLIENTS in auth-service): an admin sees and
+//            changes every order, anyone else only the orders they placed
+// An order belongs to the userId it was created with (the token's subject).
+// Someone else's order is answered 404, as if it did not exist, so order ids
+// cannot be probed; an order without a userId (created before orders had
+// owners) is only visible to admins. A non-admin token without a userId is
+// refused outright rather than matched against ownerless orders.
+//
+// Every denial is logged as "Access denied" with its reason, the user, the
+// client and the scopes they had, and counted in
+// api_access_denied_total{reason}:
+//   unauthenticated      no token, or one auth-service rejected (401)
+//   insufficient_scope   the token lacks the route's scope (403)
+//   no_user              a non-admin token without a userId (403)
+//   other_user           a non-admin listing someone else's orders (403)
+//   not_owner            a non-admin reading or changing someone else's order (404)
+import client from 'prom-client';
+
+import { ProblemError } from './problem.js';
+
+export const SCOPES = { read: 'orders:read', write: 'orders:write' };
+export const ADMIN_ROLE = 'admin';
+
+export const isAdmin = (auth) => Array.isArray(auth?.roles) && auth.roles.includes(ADMIN_ROLE);
+
+const hasUserId = (auth) => typeof auth?.userId === 'string' && auth.userId !== '';
+
+/**
+ * Create the authorizer. `authenticate(req)` validates the caller's token
+ * (resolving to auth-service's answer, or throwing a 401 problem); `register`
+ * is the prom-client registry its metric is added to.
+ */
+export function createAuthorizer({ authenticate, logger, register }) {
+    const denied = new client.Counter({
+        name: 'api_access_denied_total',
+        help: 'Requests refused by authorization, by reason',
+        labelNames: ['reason'],
+        registers: [register]
+    });
+
+    // Audit log and metric of a refused request
+    function audit(req, reason, details = {}) {
+        denied.inc({ reason });
+        logger.warn('Access denied', {
+            reason,
+            method: req.method,
+            path: req.originalUrl,
+            userId: req.auth?.userId,
+            clientId: req.auth?.clientId,
+            scopes: req.auth?.scopes,
+            roles: req.auth?.roles,
+            ip: req.ip,
+            correlationId: req.correlationId,
+            ...details
+        });
+    }
+
+    /**
+     * Middleware: sets req.auth, or answers 401 (no valid token) or 403 (the
+     * token lacks `scope`).
+     */
+    function requireScope(scope) {
+        return async (req, res, next) => {
+            try {
+                req.auth = await authenticate(req);
+            } catch (error) {
+                if (error instanceof ProblemError && error.status === 401) {
+                    audit(req, 'unauthenticated', { required: scope });
+                }
+                return next(error);
+            }
+
+            const scopes = Array.isArray(req.auth.scopes) ? req.auth.scopes : [];
+            if (!scopes.includes(scope)) {
+                audit(req, 'insufficient_scope', { required: scope });
+                // RFC 6750: which scope would have been enough
+                res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+                return next(new ProblemError(403, {
+                    type: '/problems/insufficient-scope',
+                    detail: `This request needs the ${scope} scope`,
+                    requiredScope: scope
+                }));
+            }
+
+            // Ownership checks need to know who is asking
+            if (!isAdmin(req.auth) && !hasUserId(req.auth)) {
+                audit(req, 'no_user', { required: scope });
+                return next(new ProblemError(403, {
+                    type: '/problems/forbidden',
+                    detail: 'The token does not identify a user'
+                }));
+            }
+            next();
+        };
+    }
+
+    /**
+     * The userId a listing must be limited to: the caller's own, or for an
+     * admin the one asked for (none: every user). Throws a 403 problem when a
+     * non-admin asks for someone else's.
+     */
+    function listOwner(req, requested) {
+        if (isAdmin(req.auth)) return requested;
+        // requireScope already refused these; never list without an owner filter
+        if (!hasUserId(req.auth)) {
+            throw new ProblemError(403, { type: '/problems/forbidden', detail: 'The token does not identify a user' });
+        }
+        if (requested !== undefined && requested !== req.auth.userId) {
+            audit(req, 'other_user', { requestedUserId: requested });
+            throw new ProblemError(403, {
+                type: '/problems/forbidden',
+                detail: 'Only your own orders can be listed'
+            });
+        }
+        return req.auth.userId;
+    }
+
+    /**
+     * Throws a 404 problem unless the caller may see `order` (theirs, or they
+     * are an admin). The log says why; the client only hears "no such order".
+     */
+    function checkOwner(req, order) {
+        if (isAdmin(req.auth)) return;
+        if (hasUserId(req.auth) && typeof order.userId === 'string' && order.userId === req.auth.userId) return;
+        audit(req, 'not_owner', { orderId: order.id, ownerId: order.userId });
+        throw new ProblemError(404, { detail: 'Order not found' });
+    }
+
+    return { requireScope, listOwner, checkOwner };
+}
@@ -0,0 +1,119 @@
+/* idempotency.js */
+// Idempotency-Key support (https://datatracker.ietf.org/doc/draft-ietf-httpapi-idempotency-key-header/).
+// The first request with a given key runs normally and its response is stored
+// for IDEMPOTENCY_TTL_MS. Later requests with the same key get that response
+// replayed (with `Idempotent-Replayed: true`) instead of running again, so a
+// retry can never create the same order twice.
+//   409  a request with this key is still in progress
+//   422  the key was already used with a different request body
+// Server errors (5xx) are not stored: the client is expected to retry them.
+import crypto from 'crypto';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS ?? 24 * 60 * 60 * 1000);
+
+/**
+ * Check a client-supplied key. Returns an error message, or null when valid.
+ */
+export function validateIdempotencyKey(key) {
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return `${IDEMPOTENCY_HEADER} must be 1 to ${MAX_KEY_LENGTH} characters long`;
+    }
+    if (!/^[\x21-\x7e]+$/.test(key)) {
+        return `${IDEMPOTENCY_HEADER} must only contain printable ASCII characters`;
+    }
+    return null;
+}
+
+/**
+ * In-memory record store: `key -> { requestHash, status, body, expiresAt }`.
+ * Any object with the same async get/put/purgeExpired methods can replace it.
+ */
+export function createMemoryRecords() {
+    const records = new Map();
+
+    return {
+        async get(key) {
+            return records.get(key) ?? null;
+        },
+        async put(key, record) {
+            records.set(key, record);
+        },
+        async purgeExpired(now) {
+            for (const [key, record] of records) {
+                if (record.expiresAt <= now) records.delete(key);
+            }
+        },
+    };
+}
+
+const hashRequest = (req, payload) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(payload ?? null)}`)
+    .digest('hex');
+
+/**
+ * Express middleware for a non-idempotent route (e.g. POST /orders).
+ * Requests without the header go through untouched. `fingerprint(req)` picks
+ * what must be identical for a repeated key (default: the whole body).
+ */
+export function idempotency({ records = createMemoryRecords(), ttlMs = DEFAULT_TTL_MS, fingerprint = req => req.body, logger }) {
+    const inProgress = new Set();
+
+    // Expired records are also ignored on read, this only frees the space
+    setInterval(() => {
+        records.purgeExpired(Date.now()).catch(error => logger.warn('Failed to purge idempotency records', { error }));
+    }, Math.min(ttlMs, 60 * 1000)).unref();
+
+    return async (req, res, next) => {
+        const key = req.get(IDEMPOTENCY_HEADER);
+        if (key === undefined) return next();
+
+        const invalid = validateIdempotencyKey(key);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (inProgress.has(key)) {
+            return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is already in progress` });
+        }
+
+        const requestHash = hashRequest(req, fingerprint(req));
+        let record;
+        try {
+            record = await records.get(key);
+        } catch (error) {
+            return next(error);
+        }
+
+        if (record && record.expiresAt > Date.now()) {
+            if (record.requestHash !== requestHash) {
+                return res.status(422).json({ error: `This ${IDEMPOTENCY_HEADER} was already used with a different request` });
+            }
+            logger.info('Replaying stored response', { idempotencyKey: key, status: record.status });
+            res.set(REPLAYED_HEADER, 'true');
+            return res.status(record.status).json(record.body);
+        }
+
+        // First request with this key: capture the response to store it
+        inProgress.add(key);
+        let body;
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+            body = payload;
+            return json(payload);
+        };
+
+        res.on('close', () => {
+            inProgress.delete(key);
+            if (body === undefined || res.statusCode >= 500) return;
+
+            records.put(key, { requestHash, status: res.statusCode, body, expiresAt: Date.now() + ttlMs })
+                .catch(error => logger.error('Failed to store idempotency record', { idempotencyKey: key, error }));
+        });
+
+        next();
+    };
+}
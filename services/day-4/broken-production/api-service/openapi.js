@@ -0,0 +1,214 @@
+/* openapi.js */
+// The public API of CloudMart, served at /openapi.json and /docs (see
+// contract.js). Request and order schemas come from schemas.js, the ones
+// requests are validated with, so the two cannot disagree.
+import { SCOPES } from './authz.js';
+import { json } from './contract.js';
+import { PROBLEM_CONTENT_TYPE } from './problem.js';
+import { DEFAULT_RATE_LIMITS } from './ratelimit.js';
+import { schemas } from './schemas.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const problem = (description) => json(description, ref('Problem'), PROBLEM_CONTENT_TYPE);
+
+// Every route can answer these
+const commonProblems = {
+    429: { ...problem('Too many requests from this client'), headers: { 'Retry-After': { $ref: '#/components/headers/Retry-After' } } },
+    500: problem('Unexpected error'),
+    502: problem('order-service failed or answered something invalid'),
+    503: problem('A service behind api-service cannot be reached'),
+    504: problem('No answer before the request deadline')
+};
+
+// Token problems of the authenticated routes
+const authProblems = (scope) => ({
+    401: problem('Missing or rejected token'),
+    403: {
+        ...problem(`The token lacks the ${scope} scope, or identifies no user`),
+        headers: { 'WWW-Authenticate': { schema: { type: 'string' }, example: `Bearer error="insufficient_scope", scope="${scope}"` } }
+    }
+});
+
+const orderId = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+// Query parameters of GET /api/orders, from the schema they are validated with
+const listParameters = Object.entries(schemas.listOrdersQuery.properties).map(([name, schema]) => ({
+    name, in: 'query', schema
+}));
+
+const rateLimit = (route) => {
+    const { burst, perSecond } = DEFAULT_RATE_LIMITS[route];
+    return `Rate limited: ${burst} requests at once, then ${perSecond} per second (RATE_LIMITS).`;
+};
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart API',
+        version: '1.0.0',
+        description: 'Orders, through api-service. Errors are application/problem+json (RFC 9457), '
+            + 'with a correlationId to find them in the logs. Reading orders needs the orders:read scope, '
+            + 'creating or changing them orders:write; only an admin sees other users\' orders.'
+    },
+    tags: [{ name: 'orders' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness',
+                responses: { 200: json('Alive', { type: 'object', required: ['status'], properties: { status: { const: 'healthy' }, service: { type: 'string' } } }) }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/metrics': {
+            get: {
+                tags: ['operations'],
+                summary: 'Prometheus metrics',
+                responses: { 200: { description: 'Metrics, text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+            }
+        },
+        '/api/orders': {
+            post: {
+                tags: ['orders'],
+                summary: 'Create an order',
+                description: 'Reserves the stock, stores the order (as the token\'s user\'s) and notifies subscribers. '
+                    + `Send an Idempotency-Key to retry safely: the same key returns the same order. ${rateLimit('POST /api/orders')}`,
+                security: [{ bearer: [SCOPES.write] }],
+                parameters: [{ $ref: '#/components/parameters/IdempotencyKey' }],
+                requestBody: { required: true, content: { 'application/json': { schema: ref('CreateOrderRequest') } } },
+                responses: {
+                    200: {
+                        ...json('Order created (or replayed, see Idempotent-Replayed)', ref('CreateOrderResponse')),
+                        headers: { 'Idempotent-Replayed': { schema: { const: 'true' } } }
+                    },
+                    400: problem('Malformed JSON or invalid Idempotency-Key'),
+                    ...authProblems(SCOPES.write),
+                    409: problem('Not enough stock, or a request with this Idempotency-Key is in progress'),
+                    413: problem('Body too large'),
+                    422: problem('Invalid body, or Idempotency-Key used with another order'),
+                    ...commonProblems
+                }
+            },
+            get: {
+                tags: ['orders'],
+                summary: 'List orders, one page at a time',
+                description: 'The caller\'s own orders; an admin sees everyone\'s, or one user\'s with `userId`. '
+                    + `Pass \`next\` (or nextCursor as \`cursor\`) to get the following page. ${rateLimit('GET /api/orders')}`,
+                security: [{ bearer: [SCOPES.read] }],
+                parameters: listParameters,
+                responses: {
+                    200: json('A page of orders', ref('OrderList')),
+                    400: problem('Invalid query string'),
+                    ...authProblems(SCOPES.read),
+                    403: problem(`The token lacks the ${SCOPES.read} scope or identifies no user, or userId is someone else's (admins only)`),
+                    ...commonProblems
+                }
+            }
+        },
+        '/api/orders/{id}': {
+            parameters: [orderId],
+            get: {
+                tags: ['orders'],
+                summary: 'Get an order with its status history',
+                description: `Someone else's order is not found, unless the caller is an admin. ${rateLimit('GET /api/orders/:id')}`,
+                security: [{ bearer: [SCOPES.read] }],
+                responses: {
+                    200: json('The order', ref('Order')),
+                    ...authProblems(SCOPES.read),
+                    404: problem('No such order (or not the caller\'s)'),
+                    ...commonProblems
+                }
+            },
+            patch: {
+                tags: ['orders'],
+                summary: 'Change an order\'s status',
+                description: `created → confirmed → shipped; created and confirmed can be cancelled. ${rateLimit('PATCH /api/orders/:id')}`,
+                security: [{ bearer: [SCOPES.write] }],
+                requestBody: { required: true, content: { 'application/json': { schema: ref('ChangeOrderRequest') } } },
+                responses: {
+                    200: json('The updated order', ref('OrderResult')),
+                    ...authProblems(SCOPES.write),
+                    404: problem('No such order (or not the caller\'s)'),
+                    409: problem('Transition not allowed from the current status'),
+                    422: problem('Invalid body'),
+                    ...commonProblems
+                }
+            }
+        },
+        '/api/orders/{id}/cancel': {
+            parameters: [orderId],
+            post: {
+                tags: ['orders'],
+                summary: 'Cancel an order',
+                description: rateLimit('POST /api/orders/:id/cancel'),
+                security: [{ bearer: [SCOPES.write] }],
+                requestBody: { content: { 'application/json': { schema: ref('CancelOrderRequest') } } },
+                responses: {
+                    200: json('The cancelled order', ref('OrderResult')),
+                    ...authProblems(SCOPES.write),
+                    404: problem('No such order (or not the caller\'s)'),
+                    409: problem('Already shipped or cancelled'),
+                    422: problem('Invalid body'),
+                    ...commonProblems
+                }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'A token from auth-service (POST /auth/token)' }
+        },
+        parameters: {
+            IdempotencyKey: {
+                name: 'Idempotency-Key',
+                in: 'header',
+                description: '1 to 255 printable ASCII characters, unique per order',
+                schema: { type: 'string', minLength: 1, maxLength: 255 }
+            }
+        },
+        headers: {
+            'Retry-After': { description: 'Seconds before trying again', schema: { type: 'integer' } }
+        },
+        schemas: {
+            CreateOrderRequest: schemas.createOrderRequest,
+            ChangeOrderRequest: schemas.changeOrderRequest,
+            CancelOrderRequest: schemas.cancelOrderRequest,
+            Order: schemas.order,
+            OrderResult: schemas.orderResult,
+            CreateOrderResponse: {
+                type: 'object',
+                required: ['success', 'order'],
+                properties: { success: { const: true }, order: ref('Order'), message: { type: 'string' } }
+            },
+            OrderList: {
+                ...schemas.orderList,
+                properties: { ...schemas.orderList.properties, next: { type: ['string', 'null'] } }
+            },
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            Problem: {
+                type: 'object',
+                required: ['type', 'title', 'status'],
+                properties: {
+                    type: { type: 'string' },
+                    title: { type: 'string' },
+                    status: { type: 'integer' },
+                    detail: { type: 'string' },
+                    instance: { type: 'string' },
+                    correlationId: { type: 'string' },
+                    requiredScope: { type: 'string' },
+                    errors: {
+                        type: 'array',
+                        items: { type: 'object', properties: { pointer: { type: 'string' }, detail: { type: 'string' } } }
+                    }
+                }
+            }
+        }
+    }
+};
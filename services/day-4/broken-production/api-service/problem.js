@@ -0,0 +1,137 @@
+/* problem.js */
+// Errors in the RFC 9457 "problem details" format, served as
+// application/problem+json:
+//   { "type": "/problems/validation-error", "title": "Request validation failed",
+//     "status": 422, "detail": "...", "instance": "/api/orders",
+//     "correlationId": "..." }
+// Every request gets a correlation ID (the caller's X-Correlation-ID, or a new
+// one). It is echoed in the response, sent on to the other services and put in
+// every problem, so a client report can be matched with the logs of each hop.
+//
+// Internal error messages never reach the client: a problem's `detail` is
+// either written here or taken from a 4xx answer of another service.
+import crypto from 'crypto';
+import { STATUS_CODES } from 'http';
+
+import { isDeadlineExceeded, withDeadline } from './deadline.js';
+
+export const CORRELATION_HEADER = 'X-Correlation-ID';
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+const VALID_CORRELATION_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware: sets req.correlationId and the X-Correlation-ID response header.
+ */
+export function correlationId(req, res, next) {
+    const incoming = req.get(CORRELATION_HEADER);
+    req.correlationId = incoming && VALID_CORRELATION_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(CORRELATION_HEADER, req.correlationId);
+    next();
+}
+
+/**
+ * An error that should reach the client as a problem. `extensions` are extra
+ * members of the problem object (e.g. validation `errors`).
+ */
+export class ProblemError extends Error {
+    constructor(status, { type = 'about:blank', title = STATUS_CODES[status], detail, cause, ...extensions } = {}) {
+        super(detail ?? title, { cause });
+        this.name = 'ProblemError';
+        this.status = status;
+        this.problem = { type, title, detail, ...extensions };
+    }
+}
+
+export function sendProblem(req, res, status, { type = 'about:blank', title = STATUS_CODES[status], detail, ...extensions } = {}) {
+    res.status(status)
+        .type(PROBLEM_CONTENT_TYPE)
+        .json({ type, title, status, detail, instance: req.originalUrl, correlationId: req.correlationId, ...extensions });
+}
+
+/**
+ * Call another service, within the request's deadline (see deadline.js).
+ * Failing to get any answer is turned into a problem: 504 when time ran out,
+ * 503 when the service cannot be reached.
+ */
+export async function fetchUpstream(service, url, req, { headers = {}, ...options } = {}) {
+    try {
+        return await fetch(url, withDeadline(req, {
+            ...options,
+            headers: { [CORRELATION_HEADER]: req.correlationId, ...headers }
+        }));
+    } catch (error) {
+        if (isDeadlineExceeded(error)) {
+            throw new ProblemError(504, {
+                type: '/problems/deadline-exceeded',
+                detail: `${service} did not answer before the request deadline`,
+                upstream: service,
+                cause: error
+            });
+        }
+        throw new ProblemError(503, {
+            type: '/problems/upstream-unavailable',
+            detail: `${service} is unavailable`,
+            upstream: service,
+            cause: error
+        });
+    }
+}
+
+/**
+ * Problem for a non-2xx answer from another service. Its 4xx answers are
+ * about the client's request and are passed on with their message; anything
+ * else is the service failing, and only that is said (502, or its own 503/504).
+ */
+export async function upstreamProblem(service, response) {
+    const body = await response.json().catch(() => null);
+    const message = body?.detail ?? body?.error;
+
+    if (response.status >= 400 && response.status < 500) {
+        const { error, detail, type, title, status, instance, correlationId, ...extensions } = body ?? {};
+        return new ProblemError(response.status, {
+            ...(type && type !== 'about:blank' && { type }),
+            detail: typeof message === 'string' ? message : undefined,
+            ...extensions
+        });
+    }
+
+    const status = response.status === 503 || response.status === 504 ? response.status : 502;
+    return new ProblemError(status, {
+        type: '/problems/upstream-error',
+        detail: `${service} failed to handle the request`,
+        upstream: service,
+        upstreamStatus: response.status,
+        cause: message
+    });
+}
+
+/**
+ * Final error handler: malformed JSON bodies, ProblemErrors, and a plain 500
+ * for everything else.
+ */
+export function problemHandler({ logger }) {
+    // Express only treats a middleware with four parameters as an error handler
+    return (error, req, res, next) => {
+        if (error.type === 'entity.parse.failed') {
+            return sendProblem(req, res, 400, { type: '/problems/malformed-json', detail: 'Request body is not valid JSON' });
+        }
+        if (error.type === 'entity.too.large') {
+            return sendProblem(req, res, 413, { detail: 'Request body is too large' });
+        }
+
+        if (error instanceof ProblemError) {
+            logger[error.status >= 500 ? 'error' : 'warn'](error.problem.title, {
+                correlationId: req.correlationId,
+                path: req.originalUrl,
+                status: error.status,
+                ...error.problem,
+                ...(error.cause && { error: error.cause })
+            });
+            return sendProblem(req, res, error.status, error.problem);
+        }
+
+        logger.error('Unhandled error', { correlationId: req.correlationId, path: req.originalUrl, error });
+        sendProblem(req, res, 500, { detail: 'An unexpected error occurred' });
+    };
+}
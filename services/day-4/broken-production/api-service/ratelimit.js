@@ -0,0 +1,184 @@
+/* ratelimit.js */
+// Per-client rate limiting with token buckets. Each client has a bucket per
+// route holding up to `burst` tokens, refilled at `perSecond`; a request takes
+// one token, and is answered 429 when the bucket is empty:
+//
+//   RATE_LIMITS='{"POST /api/orders": {"burst": 5, "perSecond": 0.5}, "GET /api/orders": null}'
+//
+// overrides the defaults below route by route (null switches a route's limit
+// off). A client is, in order:
+//   user      a bearer token auth-service has already accepted (see rememberUser)
+//   api_key   the X-API-Key header (api-service does not check it: whatever is
+//             in front of it must)
+//   ip        the caller's address (req.ip, set TRUST_PROXY behind the gateway)
+// A token is only counted against its user once it has been validated, so
+// made-up tokens cannot each get a bucket of their own.
+//
+// Every answer carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+// and RateLimit-Policy (IETF draft "RateLimit header fields for HTTP"), a 429
+// also Retry-After. Buckets are per process: with N replicas a client gets up
+// to N times the limit.
+import crypto from 'crypto';
+import client from 'prom-client';
+
+import { sendProblem } from './problem.js';
+
+export const API_KEY_HEADER = 'X-API-Key';
+
+export const DEFAULT_RATE_LIMITS = {
+    // Each order costs a saga: reservation, database write with retries, notification
+    'POST /api/orders': { burst: 10, perSecond: 1 },
+    'PATCH /api/orders/:id': { burst: 10, perSecond: 1 },
+    'POST /api/orders/:id/cancel': { burst: 10, perSecond: 1 },
+    'GET /api/orders': { burst: 60, perSecond: 10 },
+    'GET /api/orders/:id': { burst: 60, perSecond: 10 }
+};
+
+// Validated tokens remembered for keying, the oldest forgotten first
+const MAX_KNOWN_TOKENS = 10000;
+const SWEEP_INTERVAL_MS = 60000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('base64url').slice(0, 22);
+
+const bearerToken = (req) => req.get('Authorization')?.replace(/^Bearer\s+/i, '') || null;
+
+/**
+ * Check a route's limit. Returns an error message, or null when valid.
+ */
+function validateLimit(route, limit) {
+    if (limit === null) return null;
+    if (typeof limit !== 'object' || Array.isArray(limit)) return `${route} must be an object or null`;
+    if (!(Number.isInteger(limit.burst) && limit.burst >= 1)) return `${route}.burst must be a positive integer`;
+    if (!(typeof limit.perSecond === 'number' && limit.perSecond > 0)) return `${route}.perSecond must be a number > 0`;
+    return null;
+}
+
+/**
+ * The defaults, with RATE_LIMITS (JSON) applied on top. Throws on invalid
+ * settings or routes that do not exist.
+ */
+export function loadRateLimits(json = process.env.RATE_LIMITS) {
+    const overrides = json ? JSON.parse(json) : {};
+    for (const [route, limit] of Object.entries(overrides)) {
+        if (!Object.hasOwn(DEFAULT_RATE_LIMITS, route)) {
+            throw new Error(`RATE_LIMITS: unknown route "${route}" (one of ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')})`);
+        }
+        const invalid = validateLimit(route, limit);
+        if (invalid) throw new Error(`RATE_LIMITS: ${invalid}`);
+    }
+    return { ...DEFAULT_RATE_LIMITS, ...overrides };
+}
+
+/**
+ * Create the limiter. `register` is the prom-client registry its metrics are
+ * added to.
+ */
+export function createRateLimiter({ limits, logger, register }) {
+    // `${route} ${keyType}:${id}` -> { tokens, updatedAt }
+    const buckets = new Map();
+    // hash of a validated token -> { userId, expiresAt }
+    const knownTokens = new Map();
+
+    const throttled = new client.Counter({
+        name: 'api_rate_limit_throttled_total',
+        help: 'Requests answered 429 by the rate limiter',
+        labelNames: ['route', 'key_type'],
+        registers: [register]
+    });
+    new client.Gauge({
+        name: 'api_rate_limit_buckets',
+        help: 'Token buckets currently tracked (one per client and route)',
+        registers: [register],
+        collect() {
+            this.set(buckets.size);
+        }
+    });
+
+    // Who the request counts against
+    const clientKey = (req) => {
+        const token = bearerToken(req);
+        const known = token && knownTokens.get(hash(token));
+        if (known && known.expiresAt > Date.now()) return { type: 'user', id: known.userId };
+
+        const apiKey = req.get(API_KEY_HEADER);
+        if (apiKey) return { type: 'api_key', id: hash(apiKey) };
+
+        return { type: 'ip', id: req.ip };
+    };
+
+    // Tokens in the bucket now: what was left, plus the refill since
+    const refill = (bucket, { burst, perSecond }, now) =>
+        Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+
+    // Forget the buckets that have filled up again: a new one would be the same
+    const sweep = () => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (refill(bucket, bucket.limit, now) >= bucket.limit.burst) buckets.delete(key);
+        }
+    };
+    setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+    return {
+        /**
+         * Middleware limiting `route` (a key of DEFAULT_RATE_LIMITS). Put it
+         * first on the route, so a throttled request costs nothing else.
+         */
+        limit(route) {
+            const limit = limits[route];
+            if (limit === undefined) throw new Error(`No rate limit defined for ${route}`);
+            if (limit === null) return (req, res, next) => next();
+
+            const { burst, perSecond } = limit;
+            const policy = `${burst};w=${Math.ceil(burst / perSecond)}`;
+
+            return (req, res, next) => {
+                const key = clientKey(req);
+                const bucketKey = `${route} ${key.type}:${key.id}`;
+                const now = Date.now();
+                const bucket = buckets.get(bucketKey) ?? { tokens: burst, updatedAt: now, limit };
+                bucket.tokens = refill(bucket, limit, now);
+                bucket.updatedAt = now;
+                buckets.set(bucketKey, bucket);
+
+                const allowed = bucket.tokens >= 1;
+                if (allowed) bucket.tokens -= 1;
+
+                res.set({
+                    'RateLimit-Limit': String(burst),
+                    'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+                    // Seconds until the bucket is full again
+                    'RateLimit-Reset': String(Math.ceil((burst - bucket.tokens) / perSecond)),
+                    'RateLimit-Policy': policy
+                });
+                if (allowed) return next();
+
+                const retryAfter = Math.ceil((1 - bucket.tokens) / perSecond);
+                throttled.inc({ route, key_type: key.type });
+                logger.warn('Rate limit exceeded', {
+                    route, keyType: key.type, key: key.id, retryAfter, correlationId: req.correlationId
+                });
+                res.set('Retry-After', String(retryAfter));
+                sendProblem(req, res, 429, {
+                    type: '/problems/rate-limited',
+                    detail: `Too many requests to ${route}: ${burst} at once, then ${perSecond} per second`,
+                    retryAfter
+                });
+            };
+        },
+
+        /**
+         * Count this request's bearer token against its user from now on.
+         * `auth` is auth-service's validation result ({ userId, expiresAt }).
+         */
+        rememberUser(req, auth) {
+            const token = bearerToken(req);
+            if (!token || !auth?.userId) return;
+            const tokenHash = hash(token);
+            knownTokens.delete(tokenHash);
+            knownTokens.set(tokenHash, { userId: auth.userId, expiresAt: Date.parse(auth.expiresAt) || 0 });
+            // Maps iterate in insertion order: the first key is the oldest token
+            if (knownTokens.size > MAX_KNOWN_TOKENS) knownTokens.delete(knownTokens.keys().next().value);
+        }
+    };
+}
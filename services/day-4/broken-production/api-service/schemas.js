@@ -0,0 +1,162 @@
+/* schemas.js */
+// JSON Schemas of the public API. Requests are checked before anything is
+// forwarded (422 with the list of problems, 400 for a bad query string), and
+// answers from order-service are checked before they are sent on: one that
+// does not match is a 502, not something the client has to make sense of.
+import Ajv from 'ajv';
+
+import { ProblemError } from './problem.js';
+
+export const ORDER_STATUSES = ['created', 'confirmed', 'shipped', 'cancelled'];
+
+const MAX_PAGE_SIZE = 100;
+
+const order = {
+    type: 'object',
+    required: ['id', 'item', 'quantity'],
+    properties: {
+        id: { type: 'string' },
+        item: { type: 'string' },
+        quantity: { type: 'integer' },
+        status: { enum: ORDER_STATUSES },
+        userId: { type: 'string' },
+        timestamp: { type: 'string' },
+        history: { type: 'array', items: { type: 'object' } }
+    }
+};
+
+export const schemas = {
+    createOrderRequest: {
+        type: 'object',
+        required: ['item'],
+        additionalProperties: false,
+        properties: {
+            item: { type: 'string', minLength: 1, maxLength: 200 },
+            quantity: { type: 'integer', minimum: 1, maximum: 1000 }
+        }
+    },
+
+    changeOrderRequest: {
+        type: 'object',
+        required: ['status'],
+        additionalProperties: false,
+        properties: {
+            status: { enum: ORDER_STATUSES },
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+
+    cancelOrderRequest: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            reason: { type: 'string', maxLength: 500 }
+        }
+    },
+
+    listOrdersQuery: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+            cursor: { type: 'string' },
+            item: { type: 'string' },
+            status: { enum: ORDER_STATUSES },
+            userId: { type: 'string', minLength: 1 },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            sort: { enum: ['-createdAt', 'createdAt'] }
+        }
+    },
+
+    // order-service answers
+    order,
+
+    orderResult: {
+        type: 'object',
+        required: ['order'],
+        properties: { order }
+    },
+
+    orderList: {
+        type: 'object',
+        required: ['orders', 'count'],
+        properties: {
+            orders: { type: 'array', items: order },
+            count: { type: 'integer' },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            nextCursor: { type: ['string', 'null'] }
+        }
+    }
+};
+
+const ajv = new Ajv({ allErrors: true });
+// Query string values are always strings: ?limit=10 has to pass as an integer
+const queryAjv = new Ajv({ allErrors: true, coerceTypes: true });
+
+const validators = Object.fromEntries(Object.entries(schemas).map(([name, schema]) =>
+    [name, (name.endsWith('Query') ? queryAjv : ajv).compile(schema)]));
+
+// Ajv errors as { pointer, detail }, `pointer` being a JSON Pointer into the input
+function describeErrors(errors) {
+    return errors.map(({ instancePath, keyword, params, message }) => {
+        if (keyword === 'required') {
+            return { pointer: `${instancePath}/${params.missingProperty}`, detail: 'is required' };
+        }
+        if (keyword === 'additionalProperties') {
+            return { pointer: `${instancePath}/${params.additionalProperty}`, detail: 'is not allowed' };
+        }
+        if (keyword === 'enum') {
+            return { pointer: instancePath, detail: `must be one of ${params.allowedValues.join(', ')}` };
+        }
+        return { pointer: instancePath, detail: message };
+    });
+}
+
+/**
+ * Middleware: 422 unless the JSON body matches schemas[name].
+ */
+export function validateBody(name) {
+    const validate = validators[name];
+    return (req, res, next) => {
+        if (validate(req.body ?? {})) return next();
+        next(new ProblemError(422, {
+            type: '/problems/validation-error',
+            title: 'Request validation failed',
+            detail: 'The request body does not match the schema',
+            errors: describeErrors(validate.errors)
+        }));
+    };
+}
+
+/**
+ * Middleware: 400 unless the query string matches schemas[name].
+ */
+export function validateQuery(name) {
+    const validate = validators[name];
+    return (req, res, next) => {
+        if (validate({ ...req.query })) return next();
+        next(new ProblemError(400, {
+            type: '/problems/invalid-query',
+            title: 'Invalid query parameters',
+            detail: 'The query string does not match the schema',
+            errors: describeErrors(validate.errors)
+        }));
+    };
+}
+
+/**
+ * Check an answer of `service` against schemas[name]. Returns `data`, or
+ * throws a 502 problem (the details are only logged).
+ */
+export function checkResponse(service, name, data) {
+    const validate = validators[name];
+    if (validate(data)) return data;
+    throw new ProblemError(502, {
+        type: '/problems/invalid-upstream-response',
+        detail: `${service} returned an invalid response`,
+        upstream: service,
+        cause: describeErrors(validate.errors)
+    });
+}
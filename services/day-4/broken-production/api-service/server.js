@@ -1,10 +1,52 @@
 import express from 'express';
+import client from 'prom-client';
+
+import { SCOPES, createAuthorizer, isAdmin } from './authz.js';
+import { serveContract } from './contract.js';
+import { deadline } from './deadline.js';
+import { IDEMPOTENCY_HEADER, REPLAYED_HEADER, validateIdempotencyKey } from './idempotency.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { ProblemError, correlationId, fetchUpstream, problemHandler, sendProblem, upstreamProblem } from './problem.js';
+import { createRateLimiter, loadRateLimits } from './ratelimit.js';
+import { checkResponse, validateBody, validateQuery } from './schemas.js';
+import { handleShutdown, readinessProbe, trackInFlight } from './shutdown.js';
 
 const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'api-service' });
 const PORT = process.env.PORT || 3000;
 const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://auth-service:3000';
 const ORDER_SERVICE_URL = process.env.ORDER_SERVICE_URL || 'http://order-service:3000';
+// Behind the gateway, the client's address is in X-Forwarded-For: Express
+// "trust proxy" setting, e.g. 1 (one proxy in front) or "loopback, uniquelocal"
+const TRUST_PROXY = process.env.TRUST_PROXY;
+
+if (TRUST_PROXY !== undefined) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
 
+let rateLimiter;
+try {
+    rateLimiter = createRateLimiter({ limits: loadRateLimits(), logger: logger.child({ component: 'ratelimit' }), register });
+} catch (error) {
+    logger.error('FATAL: invalid RATE_LIMITS', { error });
+    process.exit(1);
+}
+
+app.use(correlationId);
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true). Before
+// the deadline and the body parser, so their 504, 400 and 413 are checked too.
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
+app.use(deadline({
+    reject: (req, res) => sendProblem(req, res, 504, {
+        type: '/problems/deadline-exceeded',
+        detail: 'The request arrived with too little time left'
+    })
+}));
 app.use(express.json());
 
 // Health endpoint
@@ -12,73 +54,188 @@ app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'api-service' });
 });
 
-// Create order endpoint (orchestrates auth + order creation)
-app.post('/api/orders', async (req, res) => {
-    try {
-        console.log('Received order request:', req.body);
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
 
-        // Step 1: Authenticate (call auth-service)
-        const authResponse = await fetch(`${AUTH_SERVICE_URL}/auth/validate`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ token: req.headers.authorization || 'default-token' })
-        });
+// Prometheus metrics (rate limiting, authorization, process)
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+});
+
+// Ask auth-service to validate the caller's token. Returns the validation
+// result (userId, scopes, roles...); a rejected token is a 401 problem.
+async function authenticate(req) {
+    const authResponse = await fetchUpstream('auth-service', `${AUTH_SERVICE_URL}/auth/validate`, req, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        // "Bearer <jwt>" from auth-service's /auth/token
+        body: JSON.stringify({ token: req.headers.authorization })
+    });
+
+    if (authResponse.status === 400 || authResponse.status === 401) {
+        await authResponse.body?.cancel();
+        throw new ProblemError(401, { detail: 'A valid bearer token is required' });
+    }
+    if (!authResponse.ok) {
+        throw await upstreamProblem('auth-service', authResponse);
+    }
+    const authData = await authResponse.json();
+    rateLimiter.rememberUser(req, authData);
+    return authData;
+}
+
+// Scopes and order ownership (see authz.js). requireScope sets req.auth.
+const authz = createAuthorizer({ authenticate, logger: logger.child({ component: 'authz' }), register });
+
+// An order from order-service, checked against the schema and against who
+// is asking (someone else's order is a 404)
+async function fetchOrder(req) {
+    const response = await fetchUpstream('order-service', `${ORDER_SERVICE_URL}/orders/${encodeURIComponent(req.params.id)}`, req);
+    if (!response.ok) {
+        throw await upstreamProblem('order-service', response);
+    }
+    const order = checkResponse('order-service', 'order', await response.json());
+    authz.checkOwner(req, order);
+    return order;
+}
 
-        if (!authResponse.ok) {
-            return res.status(401).json({ error: 'Authentication failed' });
+// Create order endpoint (needs orders:write). The order belongs to the
+// token's user. Clients should send an Idempotency-Key so that retrying a
+// timed-out request is safe: order-service answers a repeated key with the
+// original order.
+app.post('/api/orders', rateLimiter.limit('POST /api/orders'), authz.requireScope(SCOPES.write), validateBody('createOrderRequest'), async (req, res, next) => {
+    try {
+        const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+        if (idempotencyKey !== undefined) {
+            const invalid = validateIdempotencyKey(idempotencyKey);
+            if (invalid) {
+                throw new ProblemError(400, { type: '/problems/invalid-idempotency-key', detail: invalid });
+            }
         }
 
-        const authData = await authResponse.json();
-        console.log('Auth validated:', authData);
+        logger.info('Received order request', {
+            body: req.body, userId: req.auth.userId, idempotencyKey, correlationId: req.correlationId
+        });
 
-        // Step 2: Create order (call order-service)
-        const orderResponse = await fetch(`${ORDER_SERVICE_URL}/orders`, {
+        // Create order (call order-service)
+        const orderResponse = await fetchUpstream('order-service', `${ORDER_SERVICE_URL}/orders`, req, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(req.body)
+            headers: {
+                'Content-Type': 'application/json',
+                ...(idempotencyKey !== undefined && { [IDEMPOTENCY_HEADER]: idempotencyKey })
+            },
+            body: JSON.stringify({ ...req.body, userId: req.auth.userId })
         });
 
+        // Same key still in progress (409) or reused for another order (422)
+        // come back as 4xx problems, a failing order-service as a 502
         if (!orderResponse.ok) {
-            const errorText = await orderResponse.text();
-            console.error('Order creation failed:', errorText);
-            return res.status(500).json({ error: 'Order creation failed', details: errorText });
+            throw await upstreamProblem('order-service', orderResponse);
         }
 
-        const orderData = await orderResponse.json();
-        console.log('Order created:', orderData);
+        const { order } = checkResponse('order-service', 'orderResult', await orderResponse.json());
+        if (orderResponse.headers.get(REPLAYED_HEADER) === 'true') {
+            res.set(REPLAYED_HEADER, 'true');
+            logger.info('Order already created, replaying', { order, idempotencyKey, correlationId: req.correlationId });
+        } else {
+            logger.info('Order created', { order, correlationId: req.correlationId });
+        }
 
         res.json({
             success: true,
-            order: orderData,
+            order,
             message: 'Order created successfully'
         });
-
     } catch (error) {
-        console.error('API error:', error.message);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: error.message
-        });
+        next(error);
     }
 });
 
-// Get orders endpoint (simple proxy)
-app.get('/api/orders', async (req, res) => {
+// Get orders endpoint (needs orders:read). Pagination, filters and sort are
+// passed to order-service as is, with userId set to the caller's unless they
+// are an admin; the `next` link is rewritten to point here.
+app.get('/api/orders', rateLimiter.limit('GET /api/orders'), authz.requireScope(SCOPES.read), validateQuery('listOrdersQuery'), async (req, res, next) => {
     try {
-        const response = await fetch(`${ORDER_SERVICE_URL}/orders`);
-        const data = await response.json();
+        const search = new URL(req.originalUrl, 'http://localhost').search;
+        const upstreamParams = new URLSearchParams(search);
+        const userId = authz.listOwner(req, upstreamParams.get('userId') ?? undefined);
+        if (userId !== undefined) {
+            upstreamParams.set('userId', userId);
+        }
+        const response = await fetchUpstream('order-service', `${ORDER_SERVICE_URL}/orders?${upstreamParams}`, req);
+        if (!response.ok) {
+            throw await upstreamProblem('order-service', response);
+        }
+
+        const data = checkResponse('order-service', 'orderList', await response.json());
+        if (data.nextCursor) {
+            const params = new URLSearchParams(search);
+            params.set('cursor', data.nextCursor);
+            data.next = `/api/orders?${params}`;
+            res.links({ next: data.next });
+        }
         res.json(data);
     } catch (error) {
-        console.error('Error fetching orders:', error.message);
-        res.status(500).json({ error: 'Failed to fetch orders' });
+        next(error);
+    }
+});
+
+// Get one order, with its status and history (needs orders:read, and the
+// order has to be the caller's unless they are an admin)
+app.get('/api/orders/:id', rateLimiter.limit('GET /api/orders/:id'), authz.requireScope(SCOPES.read), async (req, res, next) => {
+    try {
+        res.json(await fetchOrder(req));
+    } catch (error) {
+        next(error);
     }
 });
 
-app.listen(PORT, () => {
-    console.log(JSON.stringify({
-        msg: 'API Service started',
+// Forward a status change to order-service, once the order is known to be
+// the caller's (an admin may change any). Its 400, 404 and 409 (transition
+// not allowed) come back as problems.
+async function changeOrder(req, res, next, method, path) {
+    try {
+        if (!isAdmin(req.auth)) {
+            await fetchOrder(req);
+        }
+
+        const response = await fetchUpstream('order-service', `${ORDER_SERVICE_URL}${path}`, req, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(req.body ?? {})
+        });
+        if (!response.ok) {
+            throw await upstreamProblem('order-service', response);
+        }
+
+        const data = checkResponse('order-service', 'orderResult', await response.json());
+        logger.info('Order updated', {
+            orderId: req.params.id, status: data.order.status, userId: req.auth.userId, correlationId: req.correlationId
+        });
+        res.json(data);
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Change an order's status: { "status": "confirmed" | "shipped" | "cancelled" }
+app.patch('/api/orders/:id', rateLimiter.limit('PATCH /api/orders/:id'), authz.requireScope(SCOPES.write), validateBody('changeOrderRequest'), (req, res, next) =>
+    changeOrder(req, res, next, 'PATCH', `/orders/${encodeURIComponent(req.params.id)}`));
+
+app.post('/api/orders/:id/cancel', rateLimiter.limit('POST /api/orders/:id/cancel'), authz.requireScope(SCOPES.write), validateBody('cancelOrderRequest'), (req, res, next) =>
+    changeOrder(req, res, next, 'POST', `/orders/${encodeURIComponent(req.params.id)}/cancel`));
+
+app.use((req, res) => sendProblem(req, res, 404, { detail: `No route for ${req.method} ${req.path}` }));
+
+app.use(problemHandler({ logger }));
+
+const server = app.listen(PORT, () => {
+    logger.info('API Service started', {
         port: PORT,
         authServiceUrl: AUTH_SERVICE_URL,
         orderServiceUrl: ORDER_SERVICE_URL
-    }));
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
@@ -0,0 +1,55 @@
+/* cache.js */
+// Bounded cache for validated tokens: at most `maxEntries` entries, each one
+// kept for `ttlMs` at most (less when `set()` is given a shorter TTL, e.g. the
+// token expires sooner). When full, the least recently used entry is evicted.
+// A Map keeps insertion order, re-inserting an entry on read makes it the most
+// recently used one.
+
+export function createCache({ maxEntries, ttlMs }) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) {
+                stats.misses++;
+                return undefined;
+            }
+            entries.delete(key);
+            if (entry.expiresAt <= Date.now()) {
+                stats.expirations++;
+                stats.misses++;
+                return undefined;
+            }
+            entries.set(key, entry);
+            stats.hits++;
+            return entry.value;
+        },
+
+        set(key, value, { ttlMs: entryTtlMs = ttlMs } = {}) {
+            if (maxEntries <= 0) return;
+            entries.delete(key);
+            while (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+                stats.evictions++;
+            }
+            entries.set(key, { value, expiresAt: Date.now() + Math.min(entryTtlMs, ttlMs) });
+        },
+
+        get size() {
+            return entries.size;
+        },
+
+        stats() {
+            const lookups = stats.hits + stats.misses;
+            return {
+                size: entries.size,
+                maxEntries,
+                ttlMs,
+                ...stats,
+                hitRatio: lookups === 0 ? null : Number((stats.hits / lookups).toFixed(3)),
+            };
+        },
+    };
+}
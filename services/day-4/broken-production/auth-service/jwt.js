@@ -0,0 +1,115 @@
+/* jwt.js */
+// Minimal JSON Web Tokens (RFC 7519) on top of node:crypto, for the two
+// algorithms auth-service supports:
+//   HS256  HMAC-SHA256 with a shared secret (JWT_SECRET)
+//   RS256  RSA-SHA256 with a private key (JWT_PRIVATE_KEY, PEM), the public
+//          half is published as a JWKS so other services can verify tokens
+// Only the configured algorithm is accepted when verifying: a token cannot
+// pick its own (no "none", no HS256 signed with the RSA public key).
+import crypto from 'crypto';
+
+export const JWT_ALGORITHMS = ['HS256', 'RS256'];
+
+export class TokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenError';
+    }
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const decodeJson = (segment, what) => {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    } catch {
+        throw new TokenError(`Malformed token ${what}`);
+    }
+};
+
+/**
+ * Build the signing key from the configuration. `secret` is used for HS256,
+ * `privateKey` (PEM) for RS256. `keyId` defaults to the RFC 7638 thumbprint.
+ */
+export function createSigningKey({ algorithm = 'HS256', secret, privateKey, keyId }) {
+    if (algorithm === 'HS256') {
+        if (!secret) throw new Error('HS256 needs a secret (JWT_SECRET)');
+        const key = crypto.createSecretKey(Buffer.from(secret, 'utf8'));
+        return {
+            algorithm,
+            keyId: keyId ?? null,
+            sign: (input) => crypto.createHmac('sha256', key).update(input).digest(),
+            verify: (input, signature) => {
+                const expected = crypto.createHmac('sha256', key).update(input).digest();
+                return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+            },
+            // A shared secret is never published
+            jwks: () => ({ keys: [] }),
+        };
+    }
+
+    if (algorithm === 'RS256') {
+        if (!privateKey) throw new Error('RS256 needs a private key (JWT_PRIVATE_KEY)');
+        const key = crypto.createPrivateKey(privateKey);
+        const publicKey = crypto.createPublicKey(key);
+        const { n, e } = publicKey.export({ format: 'jwk' });
+        const kid = keyId ?? crypto.createHash('sha256').update(JSON.stringify({ e, kty: 'RSA', n })).digest('base64url');
+        return {
+            algorithm,
+            keyId: kid,
+            sign: (input) => crypto.sign('sha256', Buffer.from(input), key),
+            verify: (input, signature) => crypto.verify('sha256', Buffer.from(input), publicKey, signature),
+            jwks: () => ({ keys: [{ kty: 'RSA', use: 'sig', alg: 'RS256', kid, n, e }] }),
+        };
+    }
+
+    throw new Error(`JWT_ALGORITHM must be one of ${JWT_ALGORITHMS.join(', ')} (got "${algorithm}")`);
+}
+
+/**
+ * Sign `claims` into a compact JWT.
+ */
+export function signToken(claims, signingKey) {
+    const header = { alg: signingKey.algorithm, typ: 'JWT', ...(signingKey.keyId && { kid: signingKey.keyId }) };
+    const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    return `${input}.${signingKey.sign(input).toString('base64url')}`;
+}
+
+/**
+ * Verify a compact JWT and return its claims. Throws a TokenError when the
+ * signature, expiry (`exp`, `nbf`), issuer or audience does not match.
+ */
+export function verifyToken(token, signingKey, { issuer, audience, clockSkewSeconds = 0, now = Date.now() }) {
+    const parts = token.split('.');
+    if (parts.length !== 3) throw new TokenError('Malformed token');
+    const [headerSegment, payloadSegment, signatureSegment] = parts;
+
+    const header = decodeJson(headerSegment, 'header');
+    if (header.alg !== signingKey.algorithm) {
+        throw new TokenError(`Unexpected algorithm ${header.alg}`);
+    }
+    if (header.kid && signingKey.keyId && header.kid !== signingKey.keyId) {
+        throw new TokenError('Unknown signing key');
+    }
+    if (!signingKey.verify(`${headerSegment}.${payloadSegment}`, Buffer.from(signatureSegment, 'base64url'))) {
+        throw new TokenError('Invalid signature');
+    }
+
+    const claims = decodeJson(payloadSegment, 'payload');
+    const nowSeconds = Math.floor(now / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + clockSkewSeconds <= nowSeconds) {
+        throw new TokenError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - clockSkewSeconds > nowSeconds) {
+        throw new TokenError('Token not valid yet');
+    }
+    if (issuer && claims.iss !== issuer) {
+        throw new TokenError('Unexpected issuer');
+    }
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (audience && !audiences.includes(audience)) {
+        throw new TokenError('Unexpected audience');
+    }
+
+    return claims;
+}
@@ -0,0 +1,70 @@
+/* logger.js */
+// Structured logger: one JSON object per line on stdout (the standard way in K8s),
+// filtered by LOG_LEVEL. When OpenTelemetry is running, the active trace_id and
+// span_id are added to every line, so Loki can link a log line to its Tempo trace,
+// and each line is also emitted as an OTel log record (exported over OTLP when
+// instrumentation.js sets up a log exporter, a no-op otherwise).
+import os from "os";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// OTel log record severities (https://opentelemetry.io/docs/specs/otel/logs/data-model/#field-severitynumber)
+const SEVERITY_NUMBERS = { debug: 5, info: 9, warn: 13, error: 17 };
+
+// @opentelemetry/api(-logs) are only installed in the OTel-instrumented services
+const otel = await import("@opentelemetry/api").catch(() => null);
+const otelLogs = await import("@opentelemetry/api-logs").catch(() => null);
+
+function activeSpanContext() {
+    const spanContext = otel?.trace.getActiveSpan()?.spanContext();
+    return spanContext && otel.isSpanContextValid(spanContext) ? spanContext : null;
+}
+
+// Errors do not survive JSON.stringify, turn them into plain objects
+function serialize(fields) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+        key,
+        value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value,
+    ]));
+}
+
+/**
+ * Create a logger. `bindings` are added to every line (e.g. { service: "log-service" }),
+ * `child()` returns a logger with extra bindings (e.g. a request's traceId).
+ */
+export function createLogger(bindings = {}, level = process.env.LOG_LEVEL ?? "info") {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    const write = (lineLevel, msg, fields = {}) => {
+        if (LEVELS[lineLevel] < threshold) return;
+
+        const spanContext = activeSpanContext();
+        const attributes = { ...bindings, ...serialize(fields) };
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: lineLevel,
+            msg,
+            hostname: os.hostname(),
+            ...(spanContext && { trace_id: spanContext.traceId, span_id: spanContext.spanId }),
+            ...attributes,
+        };
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+
+        // Trace context is picked up from the active context by the OTel SDK
+        otelLogs?.logs.getLogger(bindings.service ?? "app").emit({
+            severityNumber: SEVERITY_NUMBERS[lineLevel],
+            severityText: lineLevel.toUpperCase(),
+            body: msg,
+            attributes,
+        });
+    };
+
+    return {
+        level: LEVELS[level] ? level : "info",
+        debug: (msg, fields) => write("debug", msg, fields),
+        info: (msg, fields) => write("info", msg, fields),
+        warn: (msg, fields) => write("warn", msg, fields),
+        error: (msg, fields) => write("error", msg, fields),
+        child: (extra) => createLogger({ ...bindings, ...extra }, level),
+    };
+}
@@ -0,0 +1,157 @@
+/* openapi.js */
+// The API of auth-service, served at /openapi.json and /docs (see contract.js).
+import { json } from './contract.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// OAuth 2 style error of /auth/token
+const oauthError = (description) => json(description, ref('OAuthError'));
+
+const tokenRequest = {
+    type: 'object',
+    required: ['client_id', 'client_secret'],
+    properties: {
+        client_id: { type: 'string' },
+        client_secret: { type: 'string' },
+        scope: { type: 'string', description: 'Space-separated subset of the client\'s scopes (all of them by default)' },
+        sub: { type: 'string', description: 'The user the client acts for (clients with actsForUsers only; the client itself by default)' }
+    }
+};
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart auth-service',
+        version: '1.0.0',
+        description: 'Issues JWTs to known clients and validates them for api-service.'
+    },
+    tags: [{ name: 'tokens' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness',
+                responses: {
+                    200: json('Alive', {
+                        type: 'object',
+                        required: ['status', 'service'],
+                        properties: {
+                            status: { const: 'healthy' },
+                            service: { const: 'auth-service' },
+                            algorithm: { enum: ['HS256', 'RS256'] },
+                            cacheSize: { type: 'integer' },
+                            memoryLeak: { type: 'boolean' }
+                        }
+                    })
+                }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/.well-known/jwks.json': {
+            get: {
+                tags: ['tokens'],
+                summary: 'Public keys to verify tokens without calling auth-service (none with HS256)',
+                responses: {
+                    200: json('JSON Web Key Set', {
+                        type: 'object', required: ['keys'], properties: { keys: { type: 'array', items: { type: 'object' } } }
+                    })
+                }
+            }
+        },
+        '/auth/token': {
+            post: {
+                tags: ['tokens'],
+                summary: 'Issue a token (OAuth 2 client credentials style)',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': { schema: tokenRequest },
+                        'application/x-www-form-urlencoded': { schema: tokenRequest }
+                    }
+                },
+                responses: {
+                    200: json('A token', {
+                        type: 'object',
+                        required: ['access_token', 'token_type', 'expires_in', 'scope'],
+                        properties: {
+                            access_token: { type: 'string' },
+                            token_type: { const: 'Bearer' },
+                            expires_in: { type: 'integer' },
+                            scope: { type: 'string' }
+                        }
+                    }),
+                    400: oauthError('invalid_request, invalid_scope, or unauthorized_client (sub from a client that cannot act for users)'),
+                    401: oauthError('invalid_client')
+                }
+            }
+        },
+        '/auth/validate': {
+            post: {
+                tags: ['tokens'],
+                summary: 'Validate a token',
+                description: 'The token is taken from the body, or from the Authorization header. "Bearer " is optional.',
+                requestBody: {
+                    content: {
+                        'application/json': { schema: { type: 'object', properties: { token: { type: 'string' } } } }
+                    }
+                },
+                responses: {
+                    200: json('Valid', {
+                        type: 'object',
+                        required: ['valid', 'userId', 'scopes', 'roles', 'expiresAt'],
+                        properties: {
+                            valid: { const: true },
+                            userId: { type: 'string' },
+                            clientId: { type: 'string' },
+                            scopes: { type: 'array', items: { type: 'string' } },
+                            roles: { type: 'array', items: { type: 'string' }, description: 'The client\'s roles (AUTH_CLIENTS), e.g. ["admin"]; none in tokens for users' },
+                            expiresAt: { type: 'string', format: 'date-time' },
+                            cached: { type: 'boolean' }
+                        }
+                    }),
+                    401: json('Missing, expired or invalid token', {
+                        type: 'object',
+                        required: ['valid', 'error'],
+                        properties: { valid: { const: false }, error: { type: 'string' } }
+                    })
+                }
+            }
+        },
+        '/debug/memory': {
+            get: {
+                tags: ['operations'],
+                summary: 'Token cache, leaked sessions (AUTH_MEMORY_LEAK) and process memory',
+                responses: {
+                    200: json('Memory usage', {
+                        type: 'object',
+                        required: ['leakedSessions', 'memoryUsage'],
+                        properties: {
+                            cache: { type: 'object' },
+                            leakedSessions: { type: 'integer' },
+                            memoryUsage: { type: 'object', additionalProperties: { type: 'string' } }
+                        }
+                    })
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            OAuthError: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: { enum: ['invalid_request', 'invalid_client', 'invalid_scope', 'unauthorized_client'] },
+                    error_description: { type: 'string' }
+                }
+            }
+        }
+    }
+};
@@ -1,50 +1,248 @@
+import crypto from 'crypto';
+import fs from 'fs';
 import express from 'express';
 
+import { createCache } from './cache.js';
+import { serveContract } from './contract.js';
+import { TokenError, createSigningKey, signToken, verifyToken } from './jwt.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { handleShutdown, readinessProbe, trackInFlight } from './shutdown.js';
+
 const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'auth-service' });
 const PORT = process.env.PORT || 3000;
 
+// Token signing: HS256 (JWT_SECRET) or RS256 (JWT_PRIVATE_KEY, or a PEM file
+// at JWT_PRIVATE_KEY_FILE). Both come from a Secret in Kubernetes.
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const JWT_ISSUER = process.env.JWT_ISSUER || 'cloudmart-auth';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'cloudmart-api';
+const JWT_TTL_SECONDS = parseInt(process.env.JWT_TTL_SECONDS || '900', 10);
+const JWT_CLOCK_SKEW_SECONDS = parseInt(process.env.JWT_CLOCK_SKEW_SECONDS || '30', 10);
+
+// Validated tokens are cached so repeated requests skip the signature check
+const AUTH_CACHE_MAX_ENTRIES = parseInt(process.env.AUTH_CACHE_MAX_ENTRIES || '1000', 10);
+const AUTH_CACHE_TTL_MS = parseInt(process.env.AUTH_CACHE_TTL_MS || '60000', 10);
+
+// Triage exercise: keep ~100KB per validation forever (see /debug/memory)
+const AUTH_MEMORY_LEAK = process.env.AUTH_MEMORY_LEAK === 'true';
+
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true)
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
+
+function loadSigningKey() {
+    const privateKey = process.env.JWT_PRIVATE_KEY
+        || (process.env.JWT_PRIVATE_KEY_FILE && fs.readFileSync(process.env.JWT_PRIVATE_KEY_FILE, 'utf8'));
+    const configured = JWT_ALGORITHM === 'RS256' ? privateKey : process.env.JWT_SECRET;
+
+    if (configured) {
+        return createSigningKey({
+            algorithm: JWT_ALGORITHM,
+            secret: process.env.JWT_SECRET,
+            privateKey,
+            keyId: process.env.JWT_KEY_ID,
+        });
+    }
+
+    // Local development: a throwaway key, tokens die with the process and
+    // are not accepted by other replicas
+    logger.warn('No signing key configured, generating a temporary one', { algorithm: JWT_ALGORITHM });
+    return createSigningKey({
+        algorithm: JWT_ALGORITHM,
+        secret: crypto.randomBytes(32).toString('base64'),
+        privateKey: JWT_ALGORITHM === 'RS256'
+            ? crypto.generateKeyPairSync('rsa', {
+                modulusLength: 2048,
+                privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+                publicKeyEncoding: { type: 'spki', format: 'pem' }
+            }).privateKey
+            : undefined,
+    });
+}
+
+// Clients allowed to request tokens, as JSON:
+//   {"<client_id>": {"secret": "...", "scopes": ["orders:read", "orders:write"],
+//                    "actsForUsers": true, "roles": ["admin"]}}
+// actsForUsers: the client is trusted to say which user it acts for (`sub`);
+// other clients only get tokens for themselves. roles: the client's own
+// roles (api-service lets an admin see every order). They are only put in
+// tokens whose subject is the client itself, never in tokens for a user the
+// client named.
+function loadClients() {
+    if (!process.env.AUTH_CLIENTS) {
+        logger.warn('AUTH_CLIENTS not set, using the demo clients "cloudmart-web" and "cloudmart-ops"');
+        return {
+            'cloudmart-web': { secret: 'cloudmart-dev-secret', scopes: ['orders:read', 'orders:write'], actsForUsers: true },
+            'cloudmart-ops': { secret: 'cloudmart-ops-dev-secret', scopes: ['orders:read', 'orders:write'], roles: ['admin'] }
+        };
+    }
+    const configured = JSON.parse(process.env.AUTH_CLIENTS);
+    for (const [clientId, client] of Object.entries(configured)) {
+        if (typeof client?.secret !== 'string' || !Array.isArray(client.scopes)) {
+            throw new Error(`AUTH_CLIENTS: ${clientId} needs a secret and scopes`);
+        }
+        if (client.roles !== undefined && !(Array.isArray(client.roles) && client.roles.every(role => typeof role === 'string'))) {
+            throw new Error(`AUTH_CLIENTS: ${clientId}.roles must be an array of strings`);
+        }
+    }
+    return configured;
+}
+
+let signingKey;
+let clients;
+try {
+    signingKey = loadSigningKey();
+    clients = loadClients();
+} catch (error) {
+    logger.error('FATAL: invalid auth configuration', { algorithm: JWT_ALGORITHM, error });
+    process.exit(1);
+}
+
+const tokenCache = createCache({ maxEntries: AUTH_CACHE_MAX_ENTRIES, ttlMs: AUTH_CACHE_TTL_MS });
+
+// BUG (opt-in): session data that never gets cleaned up
+const leakedSessions = [];
 
-// BUG: Memory leak - token cache that never gets cleaned up
-// This simulates a poorly implemented cache
-const tokenCache = [];
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Compare hashes so the comparison time does not depend on the secret
+const secretMatches = (given, expected) => crypto.timingSafeEqual(sha256(given), sha256(expected));
+
+// api-service forwards the Authorization header as is
+const stripBearer = (value) => value.replace(/^Bearer\s+/i, '');
 
 // Health endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         service: 'auth-service',
-        cacheSize: tokenCache.length
+        algorithm: signingKey.algorithm,
+        cacheSize: tokenCache.size,
+        memoryLeak: AUTH_MEMORY_LEAK
+    });
+});
+
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
+// Public keys for verifying tokens without calling auth-service (empty for HS256)
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(signingKey.jwks());
+});
+
+// Issue a token (OAuth 2 client credentials style). `scope` is a
+// space-separated subset of the client's scopes; `sub` the user the client
+// acts for, only accepted from clients with actsForUsers.
+app.post('/auth/token', (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret, scope, sub } = req.body ?? {};
+
+    if (typeof clientId !== 'string' || typeof clientSecret !== 'string') {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'client_id and client_secret are required' });
+    }
+
+    const client = Object.hasOwn(clients, clientId) ? clients[clientId] : null;
+    if (!client || !secretMatches(clientSecret, client.secret)) {
+        logger.warn('Token request rejected: invalid client credentials', { clientId });
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const requested = typeof scope === 'string' && scope.trim() ? scope.trim().split(/\s+/) : client.scopes;
+    const denied = requested.filter(s => !client.scopes.includes(s));
+    if (denied.length > 0) {
+        return res.status(400).json({ error: 'invalid_scope', error_description: `Not allowed: ${denied.join(' ')}` });
+    }
+
+    const actsForUser = typeof sub === 'string' && sub !== '' && sub !== clientId;
+    if (actsForUser && client.actsForUsers !== true) {
+        logger.warn('Token request rejected: client may not act for users', { clientId, sub });
+        return res.status(400).json({ error: 'unauthorized_client', error_description: 'This client cannot request tokens for users' });
+    }
+    // A user named like a client would own (and see) that client's orders
+    if (actsForUser && Object.hasOwn(clients, sub)) {
+        return res.status(400).json({ error: 'invalid_request', error_description: 'sub cannot be the id of a client' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const subject = actsForUser ? sub : clientId;
+    const claims = {
+        iss: JWT_ISSUER,
+        aud: JWT_AUDIENCE,
+        sub: subject,
+        client_id: clientId,
+        scope: requested.join(' '),
+        // Roles belong to the authenticated client, not to a name it sent
+        roles: actsForUser ? [] : client.roles ?? [],
+        iat: now,
+        exp: now + JWT_TTL_SECONDS,
+        jti: crypto.randomUUID()
+    };
+
+    logger.info('Token issued', { clientId, sub: claims.sub, scope: claims.scope, roles: claims.roles, jti: claims.jti });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+        access_token: signToken(claims, signingKey),
+        token_type: 'Bearer',
+        expires_in: JWT_TTL_SECONDS,
+        scope: claims.scope
     });
 });
 
 // Validate token endpoint
 app.post('/auth/validate', (req, res) => {
-    const token = req.body.token || 'anonymous';
-
-    console.log(`Validating token: ${token.substring(0, 10)}...`);
-
-    // BUG: Add to cache without ever cleaning up (memory leak!)
-    // Each entry allocates ~100KB
-    tokenCache.push({
-        token: token,
-        timestamp: Date.now(),
-        userId: `user-${Math.random().toString(36).substring(7)}`,
-        // Simulate storing session data (causes memory leak)
-        sessionData: Buffer.alloc(1024 * 100), // 100KB per request
-        metadata: {
-            ip: '10.0.0.1',
-            userAgent: 'CloudMart-Client/1.0',
-            permissions: ['read', 'write', 'admin']
+    const rawToken = req.body?.token || req.get('Authorization');
+    if (!rawToken) {
+        return res.status(401).json({ valid: false, error: 'Missing token' });
+    }
+    if (typeof rawToken !== 'string') {
+        return res.status(401).json({ valid: false, error: 'Token must be a string' });
+    }
+    const token = stripBearer(rawToken);
+
+    if (AUTH_MEMORY_LEAK) {
+        // BUG: Add to the list without ever cleaning up (memory leak!)
+        // Each entry allocates ~100KB
+        leakedSessions.push({
+            token: token,
+            timestamp: Date.now(),
+            sessionData: Buffer.alloc(1024 * 100) // 100KB per request
+        });
+    }
+
+    const cacheKey = sha256(token).toString('base64');
+    let claims = tokenCache.get(cacheKey);
+    const cached = claims !== undefined;
+
+    if (!cached) {
+        try {
+            claims = verifyToken(token, signingKey, {
+                issuer: JWT_ISSUER,
+                audience: JWT_AUDIENCE,
+                clockSkewSeconds: JWT_CLOCK_SKEW_SECONDS
+            });
+        } catch (error) {
+            if (!(error instanceof TokenError)) throw error;
+            logger.warn('Token rejected', { reason: error.message });
+            return res.status(401).json({ valid: false, error: error.message });
         }
-    });
+        // Never cache past the token's own expiry
+        tokenCache.set(cacheKey, claims, { ttlMs: claims.exp * 1000 - Date.now() });
+    }
 
-    // Always return valid (simple auth for demo)
     res.json({
         valid: true,
-        userId: `user-${Math.random().toString(36).substring(7)}`,
-        cacheSize: tokenCache.length,
-        message: 'Token validated successfully'
+        userId: claims.sub,
+        clientId: claims.client_id,
+        scopes: claims.scope ? claims.scope.split(' ') : [],
+        // Tokens issued before roles existed have none
+        roles: claims.roles ?? [],
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+        cached
     });
 });
 
@@ -52,7 +250,8 @@ app.post('/auth/validate', (req, res) => {
 app.get('/debug/memory', (req, res) => {
     const usage = process.memoryUsage();
     res.json({
-        cacheEntries: tokenCache.length,
+        cache: tokenCache.stats(),
+        leakedSessions: leakedSessions.length,
         memoryUsage: {
             rss: `${Math.round(usage.rss / 1024 / 1024)}MB`,
             heapTotal: `${Math.round(usage.heapTotal / 1024 / 1024)}MB`,
@@ -62,10 +261,16 @@ app.get('/debug/memory', (req, res) => {
     });
 });
 
-app.listen(PORT, () => {
-    console.log(JSON.stringify({
-        msg: 'Auth Service started',
+const server = app.listen(PORT, () => {
+    logger.info('Auth Service started', {
         port: PORT,
-        warning: 'Memory leak present in token cache!'
-    }));
+        algorithm: signingKey.algorithm,
+        keyId: signingKey.keyId,
+        issuer: JWT_ISSUER,
+        audience: JWT_AUDIENCE,
+        cache: { maxEntries: AUTH_CACHE_MAX_ENTRIES, ttlMs: AUTH_CACHE_TTL_MS },
+        warning: AUTH_MEMORY_LEAK ? 'Memory leak enabled (AUTH_MEMORY_LEAK)!' : null
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
@@ -7,7 +7,7 @@ CLUSTER_NAME="${1:-day4}"
 echo "🔨 Building broken production services for cluster '$CLUSTER_NAME'..."
 
 # List of services to build
-SERVICES=("gateway" "api-service" "auth-service" "order-service" "database-service" "notification-service")
+SERVICES=("gateway" "api-service" "auth-service" "order-service" "database-service" "notification-service" "inventory-service")
 
 for SERVICE in "${SERVICES[@]}"; do
   echo "📦 Building $SERVICE..."
@@ -0,0 +1,400 @@
+/* contract-tests.mjs */
+// Contract tests, run by run-local.mjs once the smoke test passed on a stack
+// without bugs. Every service checks its traffic against its OpenAPI document
+// (CONTRACT_CHECK, see contract.js); the calls below make every documented
+// operation answer every status code it documents, errors included. A
+// service fails when:
+//   - a call does not get the status it was meant to provoke
+//   - its check found a request or response that does not match the document
+//   - a documented response was never seen: a scenario is missing here, or
+//     the code can no longer answer it
+// Failures that cannot be provoked on the running stack get an instance of
+// their own: api-service behind a stub auth-service and without order-service
+// (its 500 and 503), order-service without inventory-service (503),
+// database-service without CHAOS_ADMIN_TOKEN (403 on chaos changes) and
+// notification-service without SUBSCRIBERS_ADMIN_TOKEN (403 on subscribers).
+// database-service's chaos API makes it fail (500, then 5XX and 502 further
+// up), X-Deadline-Ms: 1 gives every hop its 504, and /ready answers 503 while
+// the services are stopped at the end: the stack cannot be used afterwards.
+import crypto from 'crypto';
+import http from 'http';
+
+// Demo clients auth-service knows by default (see AUTH_CLIENTS)
+const WEB_CLIENT = { client_id: 'cloudmart-web', client_secret: 'cloudmart-dev-secret' };
+const OPS_CLIENT = { client_id: 'cloudmart-ops', client_secret: 'cloudmart-ops-dev-secret' };
+
+// Less than DEADLINE_MIN_MS: the hop answers 504 before doing anything
+const NO_TIME_LEFT = { 'X-Deadline-Ms': '1' };
+
+// Correlation ID that makes the stub auth-service answer something that is not JSON
+const GARBAGE_PREFIX = 'contract-garbage-';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A unique name per run, so repeated runs against kept data do not collide
+const unique = (prefix) => `${prefix}-${crypto.randomUUID().slice(0, 8)}`;
+
+/**
+ * The auth-service stand-in of the extra api-service: every token is valid
+ * (an admin with both scopes), unless the correlation ID asks for garbage.
+ */
+function startStubAuth() {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        if (req.headers['x-correlation-id']?.startsWith(GARBAGE_PREFIX)) {
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end('this is not JSON');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({
+            valid: true,
+            userId: 'contract-stub',
+            clientId: 'contract-stub',
+            scopes: ['orders:read', 'orders:write'],
+            roles: ['admin'],
+            expiresAt: new Date(Date.now() + 60000).toISOString()
+        }));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Run the scenarios. `services` are the running instances (run-local.mjs's
+ * list, extra instances are added to it); `startInstance(name, env)` starts
+ * another instance of a service with `env` on top of its usual variables.
+ * Returns one result per service: { hop, status: ok|fail, detail }.
+ */
+export async function runContractTests({ services, urls, chaosToken, subscribersToken, freePort, startInstance }) {
+    const unexpected = new Map(services.map(({ name }) => [name, []]));
+
+    // Call `method path` of a service and check that it answered `expected`
+    // (a status code, or a range like '5XX')
+    async function call(target, method, path, expected, { body, raw, headers = {}, token } = {}) {
+        const { name, url } = target;
+        let status;
+        let payload = null;
+        try {
+            const response = await fetch(`${url}${path}`, {
+                method,
+                headers: {
+                    ...((body !== undefined || raw !== undefined) && { 'Content-Type': 'application/json' }),
+                    ...(token && { Authorization: `Bearer ${token}` }),
+                    ...headers
+                },
+                body: raw ?? (body !== undefined ? JSON.stringify(body) : undefined),
+                signal: AbortSignal.timeout(15000)
+            });
+            status = response.status;
+            payload = await response.json().catch(() => null);
+        } catch (error) {
+            status = error.cause?.code ?? error.name;
+        }
+        const matches = typeof expected === 'string' ? String(status)[0] === expected[0] : status === expected;
+        if (!matches) {
+            unexpected.get(name).push(`${method} ${path}: expected ${expected}, got ${status}`);
+        }
+        return { status, body: payload };
+    }
+
+    const target = (name) => ({ name, url: urls[name] });
+    const api = target('api-service');
+    const auth = target('auth-service');
+    const order = target('order-service');
+    const db = target('database-service');
+    const inventory = target('inventory-service');
+    const notification = target('notification-service');
+
+    const chaos = (faults) => call(db, 'PUT', '/debug/chaos', 200, { body: faults, token: chaosToken });
+
+    // --- auth-service ---------------------------------------------------------
+    for (const path of ['/health', '/ready', '/.well-known/jwks.json', '/debug/memory']) await call(auth, 'GET', path, 200);
+
+    const issue = async (body) => (await call(auth, 'POST', '/auth/token', 200, { body })).body?.access_token;
+    const alice = unique('contract-alice');
+    const tokens = {
+        alice: await issue({ ...WEB_CLIENT, sub: alice }),
+        bob: await issue({ ...WEB_CLIENT, sub: unique('contract-bob') }),
+        readOnly: await issue({ ...WEB_CLIENT, sub: alice, scope: 'orders:read' }),
+        writeOnly: await issue({ ...WEB_CLIENT, sub: alice, scope: 'orders:write' }),
+        admin: await issue(OPS_CLIENT)
+    };
+    await call(auth, 'POST', '/auth/token', 400, { body: { client_id: WEB_CLIENT.client_id } });
+    await call(auth, 'POST', '/auth/token', 401, { body: { ...WEB_CLIENT, client_secret: 'wrong' } });
+    await call(auth, 'POST', '/auth/validate', 200, { body: { token: tokens.alice } });
+    await call(auth, 'POST', '/auth/validate', 401, { body: { token: 'not-a-token' } });
+    await call(auth, 'POST', '/auth/validate', 401, { body: { token: 42 } });
+
+    // --- inventory-service ----------------------------------------------------
+    const item = unique('contract-item');
+    const soldOut = unique('contract-sold-out');
+    for (const path of ['/health', '/ready', '/inventory', '/reservations']) await call(inventory, 'GET', path, 200);
+    await call(inventory, 'PUT', `/inventory/${item}`, 200, { body: { onHand: 100 } });
+    await call(inventory, 'PUT', `/inventory/${soldOut}`, 200, { body: { onHand: 0 } });
+    await call(inventory, 'PUT', `/inventory/${item}`, 400, { body: { onHand: -1 } });
+    await call(inventory, 'GET', `/inventory/${item}`, 200);
+
+    const reference = unique('contract-ref');
+    const held = (await call(inventory, 'POST', '/reservations', 201, { body: { item, quantity: 1, reference } })).body?.reservation;
+    await call(inventory, 'POST', '/reservations', 200, { body: { item, quantity: 1, reference } });
+    await call(inventory, 'POST', '/reservations', 400, { body: { quantity: 1 } });
+    await call(inventory, 'POST', '/reservations', 409, { body: { item: soldOut, quantity: 1 } });
+    await call(inventory, 'GET', `/reservations/${held?.id}`, 200);
+    await call(inventory, 'GET', '/reservations/missing', 404);
+    await call(inventory, 'POST', `/reservations/${held?.id}/confirm`, 200, { body: { orderId: 'contract' } });
+    await call(inventory, 'POST', '/reservations/missing/confirm', 404, { body: {} });
+    const released = (await call(inventory, 'POST', '/reservations', 201, { body: { item, quantity: 1 } })).body?.reservation;
+    await call(inventory, 'POST', `/reservations/${released?.id}/release`, 200, { body: { reason: 'contract test' } });
+    await call(inventory, 'POST', '/reservations/missing/release', 404, { body: {} });
+    await call(inventory, 'POST', `/reservations/${released?.id}/confirm`, 409, { body: {} });
+
+    // --- notification-service -------------------------------------------------
+    for (const path of ['/health', '/ready', '/notifications', '/subscribers']) await call(notification, 'GET', path, 200);
+    const sent = (await call(notification, 'POST', '/notify', 200, { body: { type: 'contract_test', order: { id: 'contract' } } })).body;
+    await call(notification, 'GET', `/notifications/${sent?.notification?.id}`, 200);
+    await call(notification, 'GET', '/notifications/missing', 404);
+    const subscriber = (await call(notification, 'POST', '/subscribers', 201, {
+        body: { url: 'http://127.0.0.1:9/contract-hook', events: ['contract_never_sent'] }, token: subscribersToken
+    })).body;
+    await call(notification, 'POST', '/subscribers', 400, { body: { url: 'not a url' }, token: subscribersToken });
+    // Not in WEBHOOK_ALLOWED_HOSTS
+    await call(notification, 'POST', '/subscribers', 400, { body: { url: 'http://169.254.169.254/latest' }, token: subscribersToken });
+    // Retries that would never stop
+    await call(notification, 'POST', '/subscribers', 400, {
+        body: { url: 'http://127.0.0.1:9/contract-hook', maxAttempts: 'abc', backoffBaseMs: -1 }, token: subscribersToken
+    });
+    await call(notification, 'POST', '/subscribers', 401, { body: { url: 'http://127.0.0.1:9/contract-hook' } });
+    await call(notification, 'DELETE', `/subscribers/${subscriber?.id}`, 401, { token: 'wrong-token' });
+    await call(notification, 'DELETE', `/subscribers/${subscriber?.id}`, 204, { token: subscribersToken });
+    await call(notification, 'DELETE', `/subscribers/${subscriber?.id}`, 404, { token: subscribersToken });
+
+    // --- database-service -----------------------------------------------------
+    for (const path of ['/health', '/ready', '/orders', '/outbox', '/debug/chaos']) await call(db, 'GET', path, 200);
+    const storeKey = unique('contract-store');
+    const stored = (await call(db, 'POST', '/store', 200, {
+        body: { id: unique('contract-order'), item, quantity: 1, status: 'created', outbox: [{ type: 'contract_test' }] },
+        headers: { 'Idempotency-Key': storeKey }
+    })).body?.order;
+    await call(db, 'POST', '/store', 422, { body: { id: 'other', item, quantity: 2 }, headers: { 'Idempotency-Key': storeKey } });
+    await call(db, 'POST', '/store', 400, { body: { id: unique('contract-order'), outbox: 'order_created' } });
+    await call(db, 'GET', '/orders?limit=0', 400);
+    await call(db, 'GET', `/orders/${stored?.id}`, 200);
+    await call(db, 'GET', '/orders/missing', 404);
+    await call(db, 'POST', `/orders/${stored?.id}/transition`, 200, { body: { from: 'created', to: 'confirmed' } });
+    await call(db, 'POST', `/orders/${stored?.id}/transition`, 409, { body: { from: 'created', to: 'confirmed' } });
+    await call(db, 'POST', `/orders/${stored?.id}/transition`, 400, { body: {} });
+    await call(db, 'POST', '/orders/missing/transition', 404, { body: { from: 'created', to: 'confirmed' } });
+    await call(db, 'POST', '/outbox/claim', 200, { body: { limit: 1, leaseMs: 1 } });
+    await call(db, 'POST', '/outbox/missing/result', 404, { body: { delivered: true } });
+    await call(db, 'POST', '/outbox/missing/retry', 404);
+
+    // A second write with the key of one still being answered (slowly): 409
+    await chaos({ slowDrip: { endpoints: { 'POST /store': 1 }, chunkBytes: 32, intervalMs: 100 } });
+    const slowKey = unique('contract-slow');
+    const slowBody = { id: unique('contract-order'), item, quantity: 1 };
+    const slow = call(db, 'POST', '/store', 200, { body: slowBody, headers: { 'Idempotency-Key': slowKey } });
+    await sleep(300);
+    await call(db, 'POST', '/store', 409, { body: slowBody, headers: { 'Idempotency-Key': slowKey } });
+    await slow;
+
+    // Chaos control: bad configurations, no token, and the rest of the API
+    await call(db, 'PUT', '/debug/chaos', 400, { body: { error: { rate: 2 } }, token: chaosToken });
+    await call(db, 'PATCH', '/debug/chaos', 400, { body: { nonsense: {} }, token: chaosToken });
+    await call(db, 'PATCH', '/debug/chaos', 200, { body: { slowDrip: null }, token: chaosToken });
+    await call(db, 'DELETE', '/debug/chaos/fired', 200, { token: chaosToken });
+    await call(db, 'DELETE', '/debug/chaos', 200, { token: chaosToken });
+    for (const [method, path] of [['PUT', '/debug/chaos'], ['PATCH', '/debug/chaos'], ['DELETE', '/debug/chaos'], ['DELETE', '/debug/chaos/fired']]) {
+        await call(db, method, path, 401, { body: method === 'DELETE' ? undefined : {}, token: 'wrong-token' });
+    }
+
+    // --- order-service --------------------------------------------------------
+    for (const path of ['/health', '/ready', '/orders', '/sagas', '/outbox', '/outbox/dead-letters']) await call(order, 'GET', path, 200);
+    const created = (await call(order, 'POST', '/orders', 200, { body: { item, userId: alice } })).body?.order;
+    await call(order, 'POST', '/orders', 400, { body: { quantity: 1 } });
+    await call(order, 'POST', '/orders', 409, { body: { item: soldOut } });
+    const orderKey = unique('contract-key');
+    await call(order, 'POST', '/orders', 200, { body: { item }, headers: { 'Idempotency-Key': orderKey } });
+    await call(order, 'POST', '/orders', 422, { body: { item, quantity: 2 }, headers: { 'Idempotency-Key': orderKey } });
+    await call(order, 'GET', '/orders?limit=0', 400);
+    await call(order, 'GET', `/orders/${created?.id}`, 200);
+    await call(order, 'GET', '/orders/missing', 404);
+    await call(order, 'PATCH', `/orders/${created?.id}`, 200, { body: { status: 'confirmed' } });
+    await call(order, 'PATCH', `/orders/${created?.id}`, 409, { body: { status: 'confirmed' } });
+    await call(order, 'PATCH', `/orders/${created?.id}`, 400, { body: { status: 'lost' } });
+    await call(order, 'PATCH', '/orders/missing', 404, { body: { status: 'confirmed' } });
+    await call(order, 'POST', `/orders/${created?.id}/cancel`, 200, { body: { reason: 'contract test' } });
+    await call(order, 'POST', `/orders/${created?.id}/cancel`, 409, { body: {} });
+    await call(order, 'POST', '/orders/missing/cancel', 404, { body: {} });
+    const saga = (await call(order, 'GET', '/sagas', 200)).body?.sagas?.[0];
+    await call(order, 'GET', `/sagas/${saga?.id}`, 200);
+    await call(order, 'GET', '/sagas/missing', 404);
+    await call(order, 'POST', '/outbox/dead-letters/missing/retry', 404);
+
+    // Dead-letter the write's outbox message by hand, then send it again,
+    // through order-service and then database-service
+    const message = (await call(db, 'GET', '/outbox', 200)).body?.messages?.[0];
+    await call(db, 'POST', `/outbox/${message?.id}/result`, 200, { body: { delivered: false, error: 'contract test' } });
+    await call(order, 'POST', `/outbox/dead-letters/${message?.id}/retry`, 200);
+    await call(db, 'POST', `/outbox/${message?.id}/result`, 200, { body: { delivered: false, error: 'contract test' } });
+    await call(db, 'POST', `/outbox/${message?.id}/retry`, 200);
+
+    // --- api-service ----------------------------------------------------------
+    for (const path of ['/health', '/ready', '/metrics']) await call(api, 'GET', path, 200);
+    const mine = (await call(api, 'POST', '/api/orders', 200, {
+        body: { item }, token: tokens.alice, headers: { 'Idempotency-Key': unique('contract-key') }
+    })).body?.order;
+    const toCancel = (await call(api, 'POST', '/api/orders', 200, { body: { item }, token: tokens.alice })).body?.order;
+    await call(api, 'POST', '/api/orders', 400, { raw: '{"item": ', token: tokens.alice });
+    await call(api, 'POST', '/api/orders', 400, { body: { item }, token: tokens.alice, headers: { 'Idempotency-Key': 'not valid' } });
+    await call(api, 'POST', '/api/orders', 401, { body: { item } });
+    await call(api, 'POST', '/api/orders', 403, { body: { item }, token: tokens.readOnly });
+    await call(api, 'POST', '/api/orders', 409, { body: { item: soldOut }, token: tokens.alice });
+    await call(api, 'POST', '/api/orders', 413, { body: { item: 'x'.repeat(200 * 1024) }, token: tokens.alice });
+    await call(api, 'POST', '/api/orders', 422, { body: { quantity: 1 }, token: tokens.alice });
+
+    await call(api, 'GET', '/api/orders', 200, { token: tokens.alice });
+    await call(api, 'GET', `/api/orders?userId=${alice}`, 200, { token: tokens.admin });
+    await call(api, 'GET', '/api/orders?limit=0', 400, { token: tokens.alice });
+    await call(api, 'GET', '/api/orders', 401);
+    await call(api, 'GET', '/api/orders', 403, { token: tokens.writeOnly });
+
+    await call(api, 'GET', `/api/orders/${mine?.id}`, 200, { token: tokens.alice });
+    await call(api, 'GET', `/api/orders/${mine?.id}`, 401);
+    await call(api, 'GET', `/api/orders/${mine?.id}`, 403, { token: tokens.writeOnly });
+    await call(api, 'GET', `/api/orders/${mine?.id}`, 404, { token: tokens.bob });
+
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 200, { body: { status: 'confirmed' }, token: tokens.alice });
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 409, { body: { status: 'confirmed' }, token: tokens.alice });
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 422, { body: { status: 'lost' }, token: tokens.alice });
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 401, { body: { status: 'shipped' } });
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 403, { body: { status: 'shipped' }, token: tokens.readOnly });
+    await call(api, 'PATCH', `/api/orders/${mine?.id}`, 404, { body: { status: 'shipped' }, token: tokens.bob });
+
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 200, { body: { reason: 'contract test' }, token: tokens.alice });
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 409, { body: {}, token: tokens.alice });
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 422, { body: { when: 'now' }, token: tokens.alice });
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 401, { body: {} });
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 403, { body: {}, token: tokens.readOnly });
+    await call(api, 'POST', `/api/orders/${toCancel?.id}/cancel`, 404, { body: {}, token: tokens.bob });
+
+    const routes = [
+        ['GET', '/api/orders', 'GET /api/orders'],
+        ['POST', '/api/orders', 'POST /api/orders'],
+        ['GET', `/api/orders/${mine?.id}`, 'GET /api/orders/:id'],
+        ['PATCH', `/api/orders/${mine?.id}`, 'PATCH /api/orders/:id'],
+        ['POST', `/api/orders/${mine?.id}/cancel`, 'POST /api/orders/:id/cancel']
+    ];
+    const bodyFor = (method, path) => (method === 'PATCH' ? { status: 'shipped' } : method === 'POST' ? (path.endsWith('cancel') ? {} : { item }) : undefined);
+
+    // Each route's bucket, emptied by one API key: of twice the burst at once,
+    // the first are refused for want of a token and the rest throttled
+    const { body: limits } = await call(api, 'GET', '/openapi.json', 200);
+    for (const [method, path, route] of routes) {
+        const operation = limits?.paths?.[route.split(' ')[1].replace(':id', '{id}')]?.[method.toLowerCase()];
+        const burst = Number(/Rate limited: (\d+) requests/.exec(operation?.description)?.[1]);
+        const headers = { 'X-API-Key': unique('contract-key') };
+        const statuses = await Promise.all(Array.from({ length: 2 * burst }, () => fetch(`${api.url}${path}`, {
+            method,
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: method === 'GET' ? undefined : JSON.stringify(bodyFor(method, path))
+        }).then(async response => (await response.body?.cancel(), response.status)).catch(error => error.name)));
+        if (!statuses.includes(429)) {
+            unexpected.get(api.name).push(`${method} ${path}: ${2 * burst} requests at once, none answered 429`);
+        }
+    }
+
+    // --- No time left: every hop answers 504 at once ---------------------------
+    for (const [method, path] of routes) {
+        await call(api, method, path, 504, { body: bodyFor(method, path), token: tokens.alice, headers: NO_TIME_LEFT });
+    }
+    for (const [method, path, body] of [
+        ['GET', '/orders'], ['POST', '/orders', { item }], ['GET', `/orders/${created?.id}`],
+        ['PATCH', `/orders/${created?.id}`, { status: 'shipped' }], ['POST', `/orders/${created?.id}/cancel`, {}],
+        ['GET', '/outbox'], ['GET', '/outbox/dead-letters'], ['POST', `/outbox/dead-letters/${message?.id}/retry`]
+    ]) {
+        await call(order, method, path, 504, { body, headers: NO_TIME_LEFT });
+    }
+    const dbCalls = [
+        ['POST', '/store', { id: unique('contract-order'), item }], ['GET', '/orders'], ['GET', `/orders/${stored?.id}`],
+        ['POST', `/orders/${stored?.id}/transition`, { from: 'confirmed', to: 'shipped' }], ['GET', '/outbox'],
+        ['POST', '/outbox/claim', { limit: 1, leaseMs: 1 }], ['POST', `/outbox/${message?.id}/result`, { delivered: true }],
+        ['POST', `/outbox/${message?.id}/retry`]
+    ];
+    for (const [method, path, body] of dbCalls) await call(db, method, path, 504, { body, headers: NO_TIME_LEFT });
+
+    // --- database-service failing: 500, 5XX from order-service, 502 from api-service
+    await chaos({
+        error: {
+            endpoints: Object.fromEntries(['POST /store', 'GET /orders', 'GET /orders/:id', 'POST /orders/:id/transition',
+                'GET /outbox', 'POST /outbox/claim', 'POST /outbox/:id/result', 'POST /outbox/:id/retry'].map(e => [e, 1]))
+        }
+    });
+    for (const [method, path, body] of dbCalls) await call(db, method, path, 500, { body });
+    for (const [method, path, body] of [
+        ['GET', '/orders'], ['POST', '/orders', { item }], ['GET', `/orders/${created?.id}`],
+        ['PATCH', `/orders/${created?.id}`, { status: 'shipped' }], ['POST', `/orders/${created?.id}/cancel`, {}],
+        ['GET', '/outbox'], ['GET', '/outbox/dead-letters'], ['POST', `/outbox/dead-letters/${message?.id}/retry`]
+    ]) {
+        await call(order, method, path, '5XX', { body });
+    }
+    for (const [method, path] of routes) {
+        await call(api, method, path, 502, { body: bodyFor(method, path), token: tokens.alice });
+    }
+    await call(db, 'DELETE', '/debug/chaos', 200, { token: chaosToken });
+
+    // --- Extra instances for what the stack above cannot answer ---------------
+    const stubAuth = await startStubAuth();
+    try {
+        const nowhere = `http://127.0.0.1:${await freePort()}`;
+        const lonelyApi = await startInstance('api-service', {
+            AUTH_SERVICE_URL: `http://127.0.0.1:${stubAuth.address().port}`,
+            ORDER_SERVICE_URL: nowhere
+        });
+        const lonelyOrder = await startInstance('order-service', { INVENTORY_URL: nowhere });
+        const noChaosAdmin = await startInstance('database-service', { CHAOS_ADMIN_TOKEN: '' });
+        const noSubscribersAdmin = await startInstance('notification-service', { SUBSCRIBERS_ADMIN_TOKEN: '' });
+
+        for (const [method, path] of routes) {
+            await call(lonelyApi, method, path, 503, { body: bodyFor(method, path), token: 'any' });
+            await call(lonelyApi, method, path, 500, {
+                body: bodyFor(method, path), token: 'any', headers: { 'X-Correlation-ID': unique(GARBAGE_PREFIX) }
+            });
+        }
+        await call(lonelyOrder, 'POST', '/orders', 503, { body: { item } });
+        for (const [method, path] of [['PUT', '/debug/chaos'], ['PATCH', '/debug/chaos'], ['DELETE', '/debug/chaos'], ['DELETE', '/debug/chaos/fired']]) {
+            await call(noChaosAdmin, method, path, 403, { body: method === 'DELETE' ? undefined : {}, token: chaosToken });
+        }
+        await call(noSubscribersAdmin, 'POST', '/subscribers', 403, { body: { url: 'http://127.0.0.1:9/' }, token: subscribersToken });
+        await call(noSubscribersAdmin, 'DELETE', '/subscribers/missing', 403, { token: subscribersToken });
+    } finally {
+        stubAuth.close();
+    }
+
+    // --- Stopping: /ready answers 503, then collect what each instance saw ----
+    const reports = new Map(services.map(({ name }) => [name, []]));
+    for (const instance of services) {
+        if (instance.exitCode !== null) continue;
+        instance.child.kill('SIGTERM');
+        // Give the signal time to arrive before asking
+        await sleep(200);
+        await call(instance, 'GET', '/ready', 503);
+        const { body } = await call(instance, 'GET', '/debug/contract', 200);
+        if (body) reports.get(instance.name).push(body);
+    }
+
+    return [...reports].map(([name, instanceReports]) => {
+        const hop = `${name} (contract tests)`;
+        const violations = instanceReports.flatMap(r => r.violations);
+        const total = instanceReports.reduce((sum, r) => sum + r.total, 0);
+        const seen = new Set(instanceReports.flatMap(r => r.coverage?.seen ?? []));
+        const documented = new Set(instanceReports.flatMap(r => [...(r.coverage?.seen ?? []), ...(r.coverage?.notSeen ?? [])]));
+        const notSeen = [...documented].filter(response => !seen.has(response));
+        const problems = [
+            ...unexpected.get(name),
+            ...(total > 0 ? [`${total} mismatch(es), e.g. ${violations[0].operation} ${violations[0].status} ${violations[0].direction}: ${violations[0].errors.join('; ')}`] : []),
+            ...(notSeen.length > 0 ? [`never answered: ${notSeen.join(', ')}`] : []),
+            ...(instanceReports.length === 0 ? ['no contract report'] : [])
+        ];
+        return problems.length === 0
+            ? { hop, status: 'ok', detail: `all ${documented.size} documented responses seen, none mismatched` }
+            : { hop, status: 'fail', detail: problems.join('; ') };
+    });
+}
@@ -0,0 +1,205 @@
+/* chaos.js */
+// Fault injection, switched on and off at runtime through /debug/chaos.
+// The configuration has one entry per fault type, each with the probability
+// that it hits a request (`rate`, 0 to 1), optionally set per endpoint:
+//
+//   {
+//     "error":    { "rate": 0.1, "status": 503, "endpoints": { "POST /store": 0.5 } },
+//     "latency":  { "rate": 1, "distribution": "normal", "meanMs": 300, "stddevMs": 100 },
+//     "hang":     { "rate": 0.01 },
+//     "reset":    { "rate": 0.01 },
+//     "slowDrip": { "rate": 0.05, "chunkBytes": 16, "intervalMs": 500 }
+//   }
+//
+//   error     answer `status` (500 by default) instead of handling the request
+//   latency   wait before handling it: "fixed" (ms), "uniform" (minMs, maxMs),
+//             "normal" (meanMs, stddevMs) or "exponential" (meanMs)
+//   hang      never answer
+//   reset     drop the connection (TCP RST) without answering
+//   slowDrip  send the response body `chunkBytes` at a time, every `intervalMs`
+//
+// An endpoint is "METHOD /path" or "/path" for any method, e.g. "GET /orders/:id".
+// /health, /ready and /debug/* are never touched, so probes and this API keep
+// working whatever is injected. Every fault counts how many times it fired.
+
+export const FAULT_TYPES = ['error', 'latency', 'hang', 'reset', 'slowDrip'];
+
+const LATENCY_DISTRIBUTIONS = {
+    fixed: ({ ms = 0 }) => ms,
+    uniform: ({ minMs = 0, maxMs = 0 }) => minMs + Math.random() * (maxMs - minMs),
+    // Box-Muller transform
+    normal: ({ meanMs = 0, stddevMs = 0 }) =>
+        meanMs + stddevMs * Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random()),
+    exponential: ({ meanMs = 0 }) => -meanMs * Math.log(1 - Math.random())
+};
+
+const EXEMPT_PATHS = /^\/(health|ready|debug)(\/|$)/;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isRate = (value) => isNonNegative(value) && value <= 1;
+
+// "GET /orders/:id" -> { method: 'GET', path: /^\/orders\/[^/]+$/ }
+function parseEndpoint(endpoint) {
+    const [method, path] = endpoint.includes(' ') ? endpoint.split(/\s+/, 2) : [null, endpoint];
+    const pattern = path.split('/').map(part => (part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+    return { method: method?.toUpperCase() ?? null, path: new RegExp(`^${pattern}/?$`) };
+}
+
+/**
+ * Check a fault's settings. Returns an error message, or null when valid.
+ */
+function validateFault(type, fault) {
+    if (typeof fault !== 'object' || fault === null || Array.isArray(fault)) return `${type} must be an object`;
+    if (fault.rate !== undefined && !isRate(fault.rate)) return `${type}.rate must be between 0 and 1`;
+    if (fault.endpoints !== undefined) {
+        if (typeof fault.endpoints !== 'object' || fault.endpoints === null) return `${type}.endpoints must be an object`;
+        for (const [endpoint, rate] of Object.entries(fault.endpoints)) {
+            if (!endpoint.includes('/')) return `${type}.endpoints: "${endpoint}" is not "METHOD /path" or "/path"`;
+            if (!isRate(rate)) return `${type}.endpoints["${endpoint}"] must be between 0 and 1`;
+        }
+    }
+
+    if (type === 'error' && fault.status !== undefined
+        && !(Number.isInteger(fault.status) && fault.status >= 400 && fault.status <= 599)) {
+        return 'error.status must be an HTTP error status (400-599)';
+    }
+    if (type === 'latency') {
+        const distribution = fault.distribution ?? 'fixed';
+        if (!LATENCY_DISTRIBUTIONS[distribution]) {
+            return `latency.distribution must be one of ${Object.keys(LATENCY_DISTRIBUTIONS).join(', ')}`;
+        }
+        for (const name of ['ms', 'minMs', 'maxMs', 'meanMs', 'stddevMs']) {
+            if (fault[name] !== undefined && !isNonNegative(fault[name])) return `latency.${name} must be a number >= 0`;
+        }
+        if ((fault.minMs ?? 0) > (fault.maxMs ?? 0) && distribution === 'uniform') return 'latency.minMs must be <= maxMs';
+    }
+    if (type === 'slowDrip') {
+        if (fault.chunkBytes !== undefined && !(Number.isInteger(fault.chunkBytes) && fault.chunkBytes > 0)) {
+            return 'slowDrip.chunkBytes must be a positive integer';
+        }
+        if (fault.intervalMs !== undefined && !isNonNegative(fault.intervalMs)) return 'slowDrip.intervalMs must be a number >= 0';
+    }
+    return null;
+}
+
+/**
+ * Create the injector. `faults` is the starting configuration (see above).
+ */
+export function createChaos({ faults = {}, logger }) {
+    let config = {};
+    let endpoints = {};
+    const fired = Object.fromEntries(FAULT_TYPES.map(type => [type, 0]));
+    let firedSince = new Date().toISOString();
+
+    // Probability that `type` hits this request: the most specific endpoint wins
+    const rateFor = (type, req) => {
+        const match = endpoints[type].find(({ method, path }) => (!method || method === req.method) && path.test(req.path));
+        return match ? match.rate : config[type].rate ?? 0;
+    };
+
+    const hits = (type, req) => {
+        if (!config[type]) return false;
+        const rate = rateFor(type, req);
+        if (!(rate > 0 && Math.random() < rate)) return false;
+        fired[type]++;
+        return true;
+    };
+
+    const dripBody = (res, { chunkBytes = 16, intervalMs = 500 }) => {
+        const end = res.end.bind(res);
+        // res.send() has set Content-Length: the client waits for every byte
+        res.end = (chunk, encoding) => {
+            const body = Buffer.isBuffer(chunk)
+                ? chunk
+                : Buffer.from(typeof chunk === 'string' ? chunk : '', typeof encoding === 'string' ? encoding : 'utf8');
+            let offset = 0;
+            const drip = () => {
+                if (res.destroyed) return;
+                if (offset >= body.length) return end();
+                res.write(body.subarray(offset, offset += chunkBytes));
+                setTimeout(drip, intervalMs);
+            };
+            drip();
+            return res;
+        };
+    };
+
+    const chaos = {
+        /**
+         * Replace the whole configuration. Throws on invalid settings, leaving
+         * the current ones in place.
+         */
+        configure(next) {
+            if (typeof next !== 'object' || next === null || Array.isArray(next)) {
+                throw new Error('chaos configuration must be an object');
+            }
+            for (const [type, fault] of Object.entries(next)) {
+                if (!FAULT_TYPES.includes(type)) throw new Error(`Unknown fault type ${type} (one of ${FAULT_TYPES.join(', ')})`);
+                if (fault === null) continue;
+                const invalid = validateFault(type, fault);
+                if (invalid) throw new Error(invalid);
+            }
+
+            config = Object.fromEntries(Object.entries(next).filter(([, fault]) => fault !== null));
+            // More specific first: a method beats no method, a longer path beats a shorter one
+            endpoints = Object.fromEntries(FAULT_TYPES.map(type => [type, Object.entries(config[type]?.endpoints ?? {})
+                .map(([endpoint, rate]) => ({ endpoint, rate, ...parseEndpoint(endpoint) }))
+                .sort((a, b) => Number(Boolean(b.method)) - Number(Boolean(a.method)) || b.endpoint.length - a.endpoint.length)]));
+        },
+
+        /**
+         * Change some fault types only; null switches one off.
+         */
+        update(patch) {
+            if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+                throw new Error('chaos configuration must be an object');
+            }
+            chaos.configure({ ...config, ...patch });
+        },
+
+        resetCounters() {
+            for (const type of FAULT_TYPES) fired[type] = 0;
+            firedSince = new Date().toISOString();
+        },
+
+        enabled: () => Object.keys(config).length > 0,
+
+        describe: () => ({ enabled: chaos.enabled(), faults: config, fired: { ...fired }, firedSince }),
+
+        async middleware(req, res, next) {
+            if (EXEMPT_PATHS.test(req.path) || !chaos.enabled()) return next();
+
+            if (hits('hang', req)) {
+                logger.error('CHAOS: hanging request', { method: req.method, path: req.path });
+                return;
+            }
+            if (hits('reset', req)) {
+                logger.error('CHAOS: resetting connection', { method: req.method, path: req.path });
+                return req.socket.resetAndDestroy();
+            }
+            if (hits('latency', req)) {
+                const { distribution = 'fixed' } = config.latency;
+                const delayMs = Math.max(0, Math.round(LATENCY_DISTRIBUTIONS[distribution](config.latency)));
+                logger.warn('CHAOS: added latency', { method: req.method, path: req.path, delayMs });
+                await sleep(delayMs);
+            }
+            if (hits('error', req)) {
+                logger.error('CHAOS: Simulated database failure', { method: req.method, path: req.path });
+                return res.status(config.error.status ?? 500).json({
+                    error: 'Database temporarily unavailable',
+                    chaos: true
+                });
+            }
+            if (hits('slowDrip', req)) {
+                logger.warn('CHAOS: slow-drip response', { method: req.method, path: req.path });
+                dripBody(res, config.slowDrip);
+            }
+            next();
+        }
+    };
+
+    chaos.configure(faults);
+    return chaos;
+}
@@ -0,0 +1,340 @@
+/* openapi.js */
+// The API of database-service, served at /openapi.json and /docs (see contract.js).
+// Only order-service is meant to call it.
+import { FAULT_TYPES } from './chaos.js';
+import { json } from './contract.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const error = (description) => json(description, ref('Error'));
+
+// Any route can fail (chaos included), or get a request with no time left
+const commonErrors = {
+    500: error('Storage failure, or a fault injected by chaos.js'),
+    504: error('The request arrived with too little time left (X-Deadline-Ms)')
+};
+
+const idParameter = (description) => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string' } });
+
+const outboxArray = {
+    type: 'array',
+    description: 'Notifications to record in the same write, e.g. [{ "type": "order_created" }]',
+    items: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } }
+};
+
+// Reading the chaos configuration is open; changing it needs CHAOS_ADMIN_TOKEN
+const chaosOperation = (summary, requestBody, { change = true } = {}) => ({
+    tags: ['chaos'],
+    summary,
+    ...(change && { security: [{ chaosAdmin: [] }] }),
+    ...(requestBody && { requestBody: { required: true, content: { 'application/json': { schema: requestBody } } } }),
+    responses: {
+        200: json('The configuration now in force', ref('ChaosState')),
+        ...(requestBody && { 400: error('Invalid configuration (the current one is kept)') }),
+        ...(change && {
+            401: error('Missing or wrong bearer token'),
+            403: error('Changes disabled: CHAOS_ADMIN_TOKEN not set')
+        })
+    }
+});
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart database-service',
+        version: '1.0.0',
+        description: 'Order storage with a transactional outbox. Calls carry their deadline in X-Deadline-Ms.'
+    },
+    tags: [{ name: 'orders' }, { name: 'outbox' }, { name: 'chaos' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness, with the order count',
+                responses: { 200: json('Alive', ref('Health')) }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/store': {
+            post: {
+                tags: ['orders'],
+                summary: 'Store an order and its outbox messages',
+                description: 'With an Idempotency-Key, a retried write returns the order stored the first time.',
+                parameters: [{ name: 'Idempotency-Key', in: 'header', schema: { type: 'string', minLength: 1, maxLength: 255 } }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: { allOf: [ref('Order')], properties: { outbox: outboxArray } }
+                        }
+                    }
+                },
+                responses: {
+                    200: json('Stored', {
+                        type: 'object',
+                        required: ['success', 'order'],
+                        properties: { success: { const: true }, order: ref('Order'), totalOrders: { type: 'integer' } }
+                    }),
+                    400: error('Invalid outbox or Idempotency-Key'),
+                    409: error('A request with this Idempotency-Key is in progress'),
+                    422: error('Idempotency-Key already used with another order'),
+                    ...commonErrors
+                }
+            }
+        },
+        '/orders': {
+            get: {
+                tags: ['orders'],
+                summary: 'List orders, one page at a time',
+                parameters: [
+                    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+                    { name: 'cursor', in: 'query', description: 'nextCursor of the previous page', schema: { type: 'string' } },
+                    { name: 'item', in: 'query', schema: { type: 'string' } },
+                    { name: 'status', in: 'query', schema: { type: 'string' } },
+                    { name: 'userId', in: 'query', description: 'Orders of this user only', schema: { type: 'string' } },
+                    { name: 'from', in: 'query', description: 'Created at or after (ISO 8601)', schema: { type: 'string' } },
+                    { name: 'to', in: 'query', description: 'Created before (ISO 8601)', schema: { type: 'string' } },
+                    { name: 'sort', in: 'query', schema: { enum: ['-createdAt', 'createdAt'], default: '-createdAt' } }
+                ],
+                responses: {
+                    200: json('A page of orders', {
+                        type: 'object',
+                        required: ['orders', 'count', 'total', 'limit', 'nextCursor'],
+                        properties: {
+                            database: { type: 'string' },
+                            orders: { type: 'array', items: ref('Order') },
+                            count: { type: 'integer' },
+                            total: { type: 'integer' },
+                            limit: { type: 'integer' },
+                            nextCursor: { type: ['string', 'null'] },
+                            next: { type: ['string', 'null'] }
+                        }
+                    }),
+                    400: error('Invalid query string'),
+                    ...commonErrors
+                }
+            }
+        },
+        '/orders/{id}': {
+            parameters: [idParameter('Order id')],
+            get: {
+                tags: ['orders'],
+                summary: 'Get an order',
+                responses: { 200: json('The order', ref('Order')), 404: error('No such order'), ...commonErrors }
+            }
+        },
+        '/orders/{id}/transition': {
+            parameters: [idParameter('Order id')],
+            post: {
+                tags: ['orders'],
+                summary: 'Change an order\'s status if it is still `from` (compare-and-set)',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['from', 'to'],
+                                properties: {
+                                    from: { type: 'string' },
+                                    to: { type: 'string' },
+                                    reason: { type: ['string', 'null'] },
+                                    outbox: outboxArray
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: json('Changed', {
+                        type: 'object', required: ['success', 'order'], properties: { success: { const: true }, order: ref('Order') }
+                    }),
+                    400: error('from or to missing, or invalid outbox'),
+                    404: error('No such order'),
+                    409: json('The order is no longer in `from`', {
+                        allOf: [ref('Error')], required: ['currentStatus'], properties: { currentStatus: { type: 'string' } }
+                    }),
+                    ...commonErrors
+                }
+            }
+        },
+        '/outbox': {
+            get: {
+                tags: ['outbox'],
+                summary: 'Outbox messages, optionally by status',
+                parameters: [{ name: 'status', in: 'query', schema: ref('OutboxStatus') }],
+                responses: {
+                    200: json('Messages and the count per status', {
+                        type: 'object',
+                        required: ['messages', 'count', 'counts'],
+                        properties: {
+                            messages: { type: 'array', items: ref('OutboxMessage') },
+                            count: { type: 'integer' },
+                            counts: {
+                                type: 'object',
+                                properties: { pending: { type: 'integer' }, delivered: { type: 'integer' }, dead: { type: 'integer' } }
+                            }
+                        }
+                    }),
+                    ...commonErrors
+                }
+            }
+        },
+        '/outbox/claim': {
+            post: {
+                tags: ['outbox'],
+                summary: 'Claim due messages for delivery, hidden from other claims for leaseMs',
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+                                    leaseMs: { type: 'integer', minimum: 1, default: 30000 }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: json('Claimed messages', {
+                        type: 'object', required: ['messages'], properties: { messages: { type: 'array', items: ref('OutboxMessage') } }
+                    }),
+                    ...commonErrors
+                }
+            }
+        },
+        '/outbox/{id}/result': {
+            parameters: [idParameter('Message id')],
+            post: {
+                tags: ['outbox'],
+                summary: 'Record a delivery attempt',
+                description: '{ delivered: true }, or { delivered: false, error, retryAt }. Without retryAt the message is dead-lettered.',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['delivered'],
+                                properties: {
+                                    delivered: { type: 'boolean' },
+                                    error: { type: ['string', 'null'] },
+                                    retryAt: { type: ['integer', 'null'], description: 'Epoch ms of the next attempt' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: { 200: json('The updated message', ref('OutboxMessage')), 404: error('No such message'), ...commonErrors }
+            }
+        },
+        '/outbox/{id}/retry': {
+            parameters: [idParameter('Message id')],
+            post: {
+                tags: ['outbox'],
+                summary: 'Put a dead-lettered message back in the queue',
+                responses: { 200: json('The requeued message', ref('OutboxMessage')), 404: error('No dead-lettered message with this id'), ...commonErrors }
+            }
+        },
+        '/debug/chaos': {
+            get: chaosOperation('Faults being injected, and how often each one fired', undefined, { change: false }),
+            put: chaosOperation('Replace the whole fault configuration', ref('ChaosConfig')),
+            patch: chaosOperation('Change some fault types only (null switches one off)', ref('ChaosConfig')),
+            delete: chaosOperation('Switch every fault off')
+        },
+        '/debug/chaos/fired': {
+            delete: chaosOperation('Count fired faults from zero')
+        }
+    },
+    components: {
+        securitySchemes: {
+            chaosAdmin: { type: 'http', scheme: 'bearer', description: 'CHAOS_ADMIN_TOKEN' }
+        },
+        schemas: {
+            Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+            Health: {
+                type: 'object',
+                required: ['status', 'service'],
+                properties: {
+                    status: { const: 'healthy' },
+                    service: { const: 'database-service' },
+                    database: { type: 'string' },
+                    storage: { enum: ['memory', 'file', 'sqlite'] },
+                    orderCount: { type: 'integer' },
+                    chaosEnabled: { type: 'boolean' }
+                }
+            },
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            Order: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string' },
+                    item: { type: 'string' },
+                    quantity: { type: 'integer' },
+                    status: { type: 'string' },
+                    reservationId: { type: 'string' },
+                    userId: { type: 'string', description: 'The user who placed it' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    storedAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    history: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['status', 'at'],
+                            properties: { status: { type: 'string' }, at: { type: 'string' }, reason: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            OutboxStatus: { enum: ['pending', 'delivered', 'dead'] },
+            OutboxMessage: {
+                type: 'object',
+                required: ['id', 'type', 'status', 'attempts'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    payload: { type: 'object', properties: { type: { type: 'string' }, order: ref('Order') } },
+                    status: ref('OutboxStatus'),
+                    attempts: { type: 'integer' },
+                    nextAttemptAt: { type: 'integer' },
+                    lockedUntil: { type: 'integer' },
+                    lastError: { type: ['string', 'null'] },
+                    createdAt: { type: 'string' },
+                    deliveredAt: { type: ['string', 'null'] }
+                }
+            },
+            // Settings per fault type: see chaos.js
+            ChaosConfig: {
+                type: 'object',
+                additionalProperties: false,
+                properties: Object.fromEntries(FAULT_TYPES.map(type => [type, {
+                    type: ['object', 'null'],
+                    properties: {
+                        rate: { type: 'number', minimum: 0, maximum: 1 },
+                        endpoints: { type: 'object', additionalProperties: { type: 'number', minimum: 0, maximum: 1 } }
+                    }
+                }]))
+            },
+            ChaosState: {
+                type: 'object',
+                required: ['enabled', 'faults', 'fired', 'firedSince'],
+                properties: {
+                    enabled: { type: 'boolean' },
+                    faults: ref('ChaosConfig'),
+                    fired: { type: 'object', additionalProperties: { type: 'integer' } },
+                    firedSince: { type: 'string' }
+                }
+            }
+        }
+    }
+};
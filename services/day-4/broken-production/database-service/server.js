@@ -1,119 +1,459 @@
+import crypto from 'crypto';
 import express from 'express';
 
+import { createChaos } from './chaos.js';
+import { serveContract } from './contract.js';
+import { deadline } from './deadline.js';
+import { idempotency } from './idempotency.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { handleShutdown, onShutdown, readinessProbe, trackInFlight } from './shutdown.js';
+import { createStore, createdAtOf } from './storage.js';
+
 const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'database-service' });
 const PORT = process.env.PORT || 8080;
 const DB_NAME = process.env.DB_NAME; // BUG: Required but not set in manifest!
+// BUG: Chaos mode - the manifest makes 50% of requests fail
 const CHAOS_FAILURE_RATE = parseFloat(process.env.CHAOS_FAILURE_RATE || '0');
+// Full fault configuration at startup, as JSON (see chaos.js); changed at runtime through /debug/chaos
+const CHAOS_CONFIG = process.env.CHAOS_CONFIG;
+// Bearer token for changing /debug/chaos (reading it is open); unset: no changes at runtime
+const CHAOS_ADMIN_TOKEN = process.env.CHAOS_ADMIN_TOKEN ?? '';
+// Storage backend (see storage.js): memory (default), file or sqlite
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+const STORAGE_FSYNC = process.env.STORAGE_FSYNC === 'true';
 
 app.use(express.json());
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true)
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
+// Calls that arrive with less than DEADLINE_MIN_MS left get a 504 before any work
+app.use(deadline());
+
+// CHAOS_FAILURE_RATE fails the endpoints order-service and api-service read and write
+const legacyChaos = (rate) => (rate > 0
+    ? { error: { endpoints: { 'POST /store': rate, 'GET /orders': rate, 'GET /orders/:id': rate } } }
+    : {});
+
+let chaos;
+try {
+    chaos = createChaos({
+        faults: CHAOS_CONFIG ? JSON.parse(CHAOS_CONFIG) : legacyChaos(CHAOS_FAILURE_RATE),
+        logger: logger.child({ component: 'chaos' })
+    });
+} catch (error) {
+    logger.error('FATAL: invalid CHAOS_CONFIG', { error });
+    process.exit(1);
+}
+app.use(chaos.middleware);
 
 // BUG: Crash if DB_NAME is not set
 if (!DB_NAME) {
-    console.error('FATAL: DB_NAME environment variable is required!');
+    logger.error('FATAL: DB_NAME environment variable is required!');
     process.exit(1); // Will cause CrashLoopBackOff
 }
 
-// In-memory "database"
-const database = {
-    name: DB_NAME,
-    orders: [],
-    initialized: Date.now()
+const STORAGE_PATH = process.env.STORAGE_PATH || `data/${DB_NAME}.${STORAGE_BACKEND === 'sqlite' ? 'db' : 'jsonl'}`;
+
+// The "database"
+let store;
+try {
+    store = await createStore({
+        backend: STORAGE_BACKEND,
+        filePath: STORAGE_PATH,
+        fsync: STORAGE_FSYNC,
+        logger: logger.child({ component: 'storage' }),
+    });
+} catch (error) {
+    logger.error('FATAL: could not open storage', { backend: STORAGE_BACKEND, path: STORAGE_PATH, error });
+    process.exit(1);
+}
+
+// Close files once in-flight requests are drained
+onShutdown('storage', () => store.close());
+
+logger.info(`Database initialized: ${DB_NAME}`, { storage: store.describe(), orderCount: await store.count() });
+
+// A pending outbox message, delivered by the order-service dispatcher
+const outboxMessage = (type, order) => ({
+    id: crypto.randomUUID(),
+    type,
+    payload: { type, order },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lockedUntil: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+    deliveredAt: null
+});
+
+// Thrown from a store.update() callback to cancel the update
+class StatusConflictError extends Error {
+    constructor(currentStatus) {
+        super(`Order status is ${currentStatus}`);
+        this.name = 'StatusConflictError';
+        this.currentStatus = currentStatus;
+    }
+}
+
+// Listing: GET /orders?limit=&cursor=&item=&status=&userId=&from=&to=&sort=
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTS = ['-createdAt', 'createdAt'];
+
+// The cursor is the position of the last order of the page, plus the sort it
+// was made for. Opaque to clients: they only pass it back.
+const encodeCursor = (sort, order) => Buffer
+    .from(JSON.stringify({ sort, createdAt: createdAtOf(order) ?? '', id: String(order.id ?? '') }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
 };
 
-console.log(`Database initialized: ${DB_NAME}`);
+const toIsoDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
 
-// Chaos engineering: randomly fail requests
-function maybeInjectChaos() {
-    if (CHAOS_FAILURE_RATE > 0 && Math.random() < CHAOS_FAILURE_RATE) {
-        return true;
+/**
+ * Turn the query string into store.query() options, or { error }.
+ */
+function parseListQuery(query) {
+    const single = (name) => (typeof query[name] === 'string' && query[name] !== '' ? query[name] : undefined);
+
+    const limit = single('limit') === undefined ? DEFAULT_PAGE_SIZE : Number(single('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
     }
-    return false;
+
+    const sort = single('sort') ?? SORTS[0];
+    if (!SORTS.includes(sort)) {
+        return { error: `sort must be one of ${SORTS.join(', ')}` };
+    }
+
+    const options = { item: single('item'), status: single('status'), userId: single('userId'), sort, limit };
+    for (const name of ['from', 'to']) {
+        if (single(name) === undefined) continue;
+        options[name] = toIsoDate(single(name));
+        if (!options[name]) return { error: `${name} must be a date, e.g. 2024-01-31T00:00:00Z` };
+    }
+
+    if (single('cursor') !== undefined) {
+        const cursor = decodeCursor(single('cursor'));
+        if (typeof cursor?.createdAt !== 'string' || typeof cursor?.id !== 'string') {
+            return { error: 'Invalid cursor' };
+        }
+        if (cursor.sort !== sort) {
+            return { error: 'cursor was made for another sort order' };
+        }
+        options.after = { createdAt: cursor.createdAt, id: cursor.id };
+    }
+
+    return { options };
 }
 
 // Health endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
     res.json({
         status: 'healthy',
         service: 'database-service',
         database: DB_NAME,
-        orderCount: database.orders.length,
-        chaosEnabled: CHAOS_FAILURE_RATE > 0
+        storage: STORAGE_BACKEND,
+        orderCount: await store.count(),
+        chaosEnabled: chaos.enabled()
     });
 });
 
-// Store order endpoint
-app.post('/store', (req, res) => {
-    // BUG: Chaos mode - randomly fail 50% of requests
-    if (maybeInjectChaos()) {
-        console.error('CHAOS: Simulated database failure');
-        return res.status(500).json({
-            error: 'Database temporarily unavailable',
-            chaos: true
-        });
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
+// Store order endpoint. With an Idempotency-Key, a retried write returns the
+// order stored the first time instead of storing it again.
+const storeIdempotency = idempotency({
+    records: store.idempotency,
+    // id and timestamp are generated by order-service on every attempt
+    fingerprint: ({ body: { id, timestamp, ...order } = {} }) => order,
+    logger: logger.child({ component: 'idempotency' }),
+});
+
+app.post('/store', storeIdempotency, async (req, res) => {
+    // Outbox messages to record together with the order, e.g. [{ "type": "order_created" }]
+    const { outbox = [], ...fields } = req.body;
+    if (!Array.isArray(outbox) || outbox.some(message => typeof message?.type !== 'string')) {
+        return res.status(400).json({ error: 'outbox must be an array of { type } objects' });
     }
 
+    const storedAt = new Date().toISOString();
     const order = {
-        ...req.body,
-        storedAt: new Date().toISOString()
+        ...fields,
+        storedAt,
+        // Orders with a lifecycle (see order-service) start their history here
+        ...(fields.status && { history: [{ status: fields.status, at: storedAt }] })
     };
+    const messages = outbox.map(({ type }) => outboxMessage(type, order));
 
-    database.orders.push(order);
-    console.log(`Order stored: ${order.id}`);
+    try {
+        await store.insert(order, { outbox: messages });
+    } catch (error) {
+        logger.error('Failed to store order', { orderId: order.id, error });
+        return res.status(500).json({ error: 'Failed to store order' });
+    }
+    logger.info(`Order stored: ${order.id}`, { orderId: order.id, outbox: messages.map(m => m.type) });
 
     res.json({
         success: true,
         order: order,
-        totalOrders: database.orders.length
+        totalOrders: await store.count()
     });
 });
 
-// Get all orders endpoint
-app.get('/orders', (req, res) => {
-    if (maybeInjectChaos()) {
-        console.error('CHAOS: Simulated database failure');
-        return res.status(500).json({
-            error: 'Database temporarily unavailable',
-            chaos: true
-        });
+// List orders, one page at a time (newest first by default). Pass `next`
+// back to get the following page, with the same filters.
+app.get('/orders', async (req, res) => {
+    const { options, error: invalid } = parseListQuery(req.query);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
     }
 
-    res.json({
-        database: DB_NAME,
-        orders: database.orders,
-        count: database.orders.length
-    });
+    try {
+        const { orders, total, hasMore } = await store.query(options);
+        const nextCursor = hasMore ? encodeCursor(options.sort, orders[orders.length - 1]) : null;
+
+        let next = null;
+        if (nextCursor) {
+            const params = new URLSearchParams(new URL(req.originalUrl, 'http://localhost').search);
+            params.set('cursor', nextCursor);
+            next = `${req.path}?${params}`;
+            res.links({ next });
+        }
+
+        res.json({
+            database: DB_NAME,
+            orders,
+            count: orders.length,
+            total,
+            limit: options.limit,
+            nextCursor,
+            next
+        });
+    } catch (error) {
+        logger.error('Failed to list orders', { error });
+        res.status(500).json({ error: 'Failed to list orders' });
+    }
 });
 
 // Get single order
-app.get('/orders/:id', (req, res) => {
-    if (maybeInjectChaos()) {
-        return res.status(500).json({ error: 'Database error', chaos: true });
+app.get('/orders/:id', async (req, res) => {
+    try {
+        const order = await store.get(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        res.json(order);
+    } catch (error) {
+        logger.error('Failed to read order', { orderId: req.params.id, error });
+        res.status(500).json({ error: 'Failed to read order' });
+    }
+});
+
+// Change an order's status if it is still `from` (compare-and-set: 409
+// otherwise), append it to the history and record the outbox messages in the
+// same write. Which transitions are allowed is order-service's business.
+app.post('/orders/:id/transition', async (req, res) => {
+    const { from, to, reason = null, outbox = [] } = req.body;
+    if (typeof from !== 'string' || typeof to !== 'string') {
+        return res.status(400).json({ error: 'from and to are required' });
+    }
+    if (!Array.isArray(outbox) || outbox.some(message => typeof message?.type !== 'string')) {
+        return res.status(400).json({ error: 'outbox must be an array of { type } objects' });
+    }
+
+    try {
+        const order = await store.update(req.params.id, (current) => {
+            // Orders stored before lifecycles existed count as created
+            const currentStatus = current.status ?? 'created';
+            if (currentStatus !== from) throw new StatusConflictError(currentStatus);
+
+            const at = new Date().toISOString();
+            const history = current.history ?? [{ status: currentStatus, at: current.storedAt }];
+            const next = {
+                ...current,
+                status: to,
+                updatedAt: at,
+                history: [...history, { status: to, at, ...(reason && { reason }) }]
+            };
+            return { order: next, outbox: outbox.map(({ type }) => outboxMessage(type, next)) };
+        });
+
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        logger.info(`Order ${order.id}: ${from} -> ${to}`, { orderId: order.id, from, to, reason });
+        res.json({ success: true, order });
+    } catch (error) {
+        if (error instanceof StatusConflictError) {
+            return res.status(409).json({ error: error.message, currentStatus: error.currentStatus });
+        }
+        logger.error('Failed to update order', { orderId: req.params.id, error });
+        res.status(500).json({ error: 'Failed to update order' });
+    }
+});
+
+// Outbox: list messages, optionally by status (pending, delivered, dead)
+app.get('/outbox', async (req, res) => {
+    try {
+        const messages = await store.outbox.list({ status: req.query.status });
+        const counts = { pending: 0, delivered: 0, dead: 0 };
+        for (const message of await store.outbox.list()) counts[message.status]++;
+        res.json({ messages, count: messages.length, counts });
+    } catch (error) {
+        logger.error('Failed to list outbox', { error });
+        res.status(500).json({ error: 'Failed to list outbox' });
+    }
+});
+
+// Outbox: hand due messages to a dispatcher. Claimed messages are hidden from
+// other claims for leaseMs, so two dispatchers never send the same one at once.
+app.post('/outbox/claim', async (req, res) => {
+    const limit = Math.min(parseInt(req.body.limit, 10) || 10, 100);
+    const leaseMs = parseInt(req.body.leaseMs, 10) || 30000;
+
+    try {
+        const messages = await store.outbox.claim({ now: Date.now(), limit, leaseMs });
+        res.json({ messages });
+    } catch (error) {
+        logger.error('Failed to claim outbox messages', { error });
+        res.status(500).json({ error: 'Failed to claim outbox messages' });
     }
+});
+
+// Outbox: record a delivery attempt. { delivered: true } or
+// { delivered: false, error, retryAt } (no retryAt: give up, dead-letter it)
+app.post('/outbox/:id/result', async (req, res) => {
+    const { delivered, error: lastError = null, retryAt = null } = req.body;
+
+    try {
+        const current = await store.outbox.get(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
 
-    const order = database.orders.find(o => o.id === req.params.id);
-    if (!order) {
-        return res.status(404).json({ error: 'Order not found' });
+        const changes = delivered
+            ? { status: 'delivered', deliveredAt: new Date().toISOString(), lastError: null }
+            : retryAt
+                ? { status: 'pending', nextAttemptAt: retryAt, lastError }
+                : { status: 'dead', lastError };
+        const message = await store.outbox.update(req.params.id, {
+            ...changes,
+            attempts: current.attempts + 1,
+            lockedUntil: 0
+        });
+
+        if (message.status === 'dead') {
+            logger.warn(`Outbox message dead-lettered: ${message.id}`, { type: message.type, attempts: message.attempts, lastError });
+        }
+        res.json(message);
+    } catch (error) {
+        logger.error('Failed to update outbox message', { messageId: req.params.id, error });
+        res.status(500).json({ error: 'Failed to update outbox message' });
     }
-    res.json(order);
 });
 
-// Debug endpoint
+// Outbox: put a dead-lettered message back in the queue
+app.post('/outbox/:id/retry', async (req, res) => {
+    try {
+        const current = await store.outbox.get(req.params.id);
+        if (current?.status !== 'dead') {
+            return res.status(404).json({ error: 'No dead-lettered message with this id' });
+        }
+
+        const message = await store.outbox.update(req.params.id, {
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lockedUntil: 0
+        });
+        logger.info(`Outbox message requeued: ${message.id}`, { type: message.type });
+        res.json(message);
+    } catch (error) {
+        logger.error('Failed to requeue outbox message', { messageId: req.params.id, error });
+        res.status(500).json({ error: 'Failed to requeue outbox message' });
+    }
+});
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Changes to the chaos configuration need CHAOS_ADMIN_TOKEN as a bearer token.
+// Digests have the same length, so timingSafeEqual can compare any token.
+function requireChaosAdmin(req, res, next) {
+    if (!CHAOS_ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Chaos changes disabled (CHAOS_ADMIN_TOKEN not set)' });
+    }
+    const [scheme, token = ''] = (req.get('Authorization') ?? '').split(' ');
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(sha256(token), sha256(CHAOS_ADMIN_TOKEN))) {
+        logger.warn('Chaos change rejected: invalid token', { method: req.method, path: req.path, ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
+
+// Chaos control: the faults being injected and how often each one fired
 app.get('/debug/chaos', (req, res) => {
-    res.json({
-        chaosEnabled: CHAOS_FAILURE_RATE > 0,
-        failureRate: CHAOS_FAILURE_RATE,
-        message: CHAOS_FAILURE_RATE > 0
-            ? `⚠️  ${CHAOS_FAILURE_RATE * 100}% of requests will fail randomly!`
-            : 'Chaos mode disabled'
-    });
+    res.json(chaos.describe());
 });
 
-app.listen(PORT, () => {
-    console.log(JSON.stringify({
-        msg: 'Database Service started',
+// Replace the whole configuration (see chaos.js), e.g.
+//   { "error": { "rate": 0.2 }, "latency": { "rate": 1, "distribution": "uniform", "minMs": 100, "maxMs": 800 } }
+app.put('/debug/chaos', requireChaosAdmin, (req, res) => {
+    try {
+        chaos.configure(req.body ?? {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.warn('Chaos configuration replaced', { faults: chaos.describe().faults });
+    res.json(chaos.describe());
+});
+
+// Change some fault types only, e.g. { "hang": { "rate": 0.1 } }; null switches one off
+app.patch('/debug/chaos', requireChaosAdmin, (req, res) => {
+    try {
+        chaos.update(req.body ?? {});
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.warn('Chaos configuration changed', { faults: chaos.describe().faults });
+    res.json(chaos.describe());
+});
+
+// Switch every fault off
+app.delete('/debug/chaos', requireChaosAdmin, (req, res) => {
+    chaos.configure({});
+    logger.warn('Chaos disabled');
+    res.json(chaos.describe());
+});
+
+// Start counting fired faults from zero
+app.delete('/debug/chaos/fired', requireChaosAdmin, (req, res) => {
+    chaos.resetCounters();
+    res.json(chaos.describe());
+});
+
+const server = app.listen(PORT, () => {
+    logger.info('Database Service started', {
         port: PORT,
         database: DB_NAME,
-        chaosFailureRate: CHAOS_FAILURE_RATE,
-        warning: CHAOS_FAILURE_RATE > 0 ? 'CHAOS MODE ENABLED!' : null
-    }));
+        storage: store.describe(),
+        chaos: chaos.describe().faults,
+        chaosAdminApi: CHAOS_ADMIN_TOKEN ? 'enabled' : 'disabled',
+        warning: chaos.enabled() ? 'CHAOS MODE ENABLED!' : null
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
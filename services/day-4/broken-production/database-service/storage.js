@@ -0,0 +1,452 @@
+/* storage.js */
+// Where database-service keeps its orders. Chosen with STORAGE_BACKEND:
+//   memory  (default) a plain array, lost on every restart
+//   file    append-only JSON lines file, replayed into memory at startup
+//   sqlite  embedded SQLite database (node:sqlite, Node 22+)
+// file and sqlite write to STORAGE_PATH (default: data/<DB_NAME>.jsonl / .db),
+// mount a PersistentVolumeClaim there to survive restarts. Both expect a single
+// writer: run one replica per volume.
+//
+// Every backend has the same async interface:
+//   insert(order, { outbox }) -> order, get(id) -> order | null,
+//   list() -> orders, count() -> number, describe() -> loggable info, close()
+//   query({ item, status, userId, from, to, sort, after, limit }) -> { orders, total, hasMore }:
+//     one page of the orders matching the filters (total counts all of them),
+//     sorted by creation time (sort "createdAt" or "-createdAt", ties broken
+//     by id), starting right after the `after` position ({ createdAt, id })
+//   update(id, apply) -> order | null: apply(current) returns { order, outbox }
+//     and runs atomically with the write (no other update in between), so it
+//     can check the current order and throw to cancel
+// plus the transactional outbox: messages passed to insert() or update() are
+// written in the same write as the order, then handed out to a dispatcher (order-service):
+//   outbox.claim({ now, limit, leaseMs }) -> due pending messages, hidden
+//   from other claims for leaseMs; outbox.get(id) -> message | null,
+//   outbox.update(id, changes) -> message | null, outbox.list({ status }) -> messages
+// plus the Idempotency-Key records (see idempotency.js), kept next to the
+// orders so a replay survives a restart as well:
+//   idempotency.get(key) -> record | null, idempotency.put(key, record),
+//   idempotency.purgeExpired(now)
+import fs from 'fs';
+import path from 'path';
+
+export const STORAGE_BACKENDS = ['memory', 'file', 'sqlite'];
+
+// When an order was created: set by order-service, or when it was stored
+export const createdAtOf = (order) => order.timestamp ?? order.storedAt;
+
+// Orders stored before lifecycles existed count as created
+export const statusOf = (order) => order.status ?? 'created';
+
+// -1, 0 or 1 comparing (createdAt, id) positions
+function comparePositions(a, b) {
+    if (a.createdAt !== b.createdAt) return a.createdAt < b.createdAt ? -1 : 1;
+    if (a.id !== b.id) return a.id < b.id ? -1 : 1;
+    return 0;
+}
+
+const positionOf = (order) => ({ createdAt: createdAtOf(order) ?? '', id: String(order.id ?? '') });
+
+function createMemoryStore() {
+    const orders = [];
+    const records = new Map();
+    const messages = new Map();
+
+    return {
+        async insert(order, { outbox = [] } = {}) {
+            orders.push(order);
+            for (const message of outbox) messages.set(message.id, message);
+            return order;
+        },
+        async update(id, apply) {
+            const index = orders.findIndex(o => o.id === id);
+            if (index === -1) return null;
+            const { order, outbox = [] } = apply(orders[index]);
+            orders[index] = order;
+            for (const message of outbox) messages.set(message.id, message);
+            return order;
+        },
+        async get(id) {
+            return orders.find(o => o.id === id) ?? null;
+        },
+        async list() {
+            return [...orders];
+        },
+        async count() {
+            return orders.length;
+        },
+        async query({ item, status, userId, from, to, sort = '-createdAt', after, limit }) {
+            const direction = sort.startsWith('-') ? -1 : 1;
+            const matching = orders.filter(order => {
+                const createdAt = createdAtOf(order);
+                return (item === undefined || String(order.item) === item)
+                    && (status === undefined || statusOf(order) === status)
+                    && (userId === undefined || order.userId === userId)
+                    && (from === undefined || createdAt >= from)
+                    && (to === undefined || createdAt < to);
+            });
+            const sorted = matching.sort((a, b) => direction * comparePositions(positionOf(a), positionOf(b)));
+            const rest = after
+                ? sorted.filter(order => direction * comparePositions(positionOf(order), after) > 0)
+                : sorted;
+            return { orders: rest.slice(0, limit), total: matching.length, hasMore: rest.length > limit };
+        },
+        idempotency: {
+            async get(key) {
+                return records.get(key) ?? null;
+            },
+            async put(key, record) {
+                records.set(key, record);
+            },
+            async purgeExpired(now) {
+                for (const [key, record] of records) {
+                    if (record.expiresAt <= now) records.delete(key);
+                }
+            },
+        },
+        outbox: {
+            async claim({ now, limit, leaseMs }) {
+                const claimed = [];
+                for (const message of messages.values()) {
+                    if (claimed.length >= limit) break;
+                    if (message.status === 'pending' && message.nextAttemptAt <= now && message.lockedUntil <= now) {
+                        message.lockedUntil = now + leaseMs;
+                        claimed.push({ ...message });
+                    }
+                }
+                return claimed;
+            },
+            async get(id) {
+                const message = messages.get(id);
+                return message ? { ...message } : null;
+            },
+            async update(id, changes) {
+                const message = messages.get(id);
+                if (!message) return null;
+                Object.assign(message, changes);
+                return { ...message };
+            },
+            async list({ status } = {}) {
+                return [...messages.values()]
+                    .filter(message => !status || message.status === status)
+                    .map(message => ({ ...message }));
+            },
+        },
+        describe() {
+            return { backend: 'memory' };
+        },
+        async close() {},
+    };
+}
+
+/**
+ * Append-only log: one `{"op":"insert","order":{...},"outbox":[...]}` (or
+ * `{"op":"update",...}` with the whole new order, `{"op":"idempotency","key":...,"record":{...}}`,
+ * `{"op":"outbox","message":{...}}`) line per write, so an order and its outbox messages land together. The whole
+ * file is replayed into a memory store at startup, expired idempotency
+ * records are dropped on the way. A torn last line (crash in the middle of a
+ * write) is skipped.
+ */
+async function createFileStore({ filePath, fsync, logger }) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const memory = createMemoryStore();
+    let replayed = 0;
+    let skipped = 0;
+
+    if (fs.existsSync(filePath)) {
+        const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const record = JSON.parse(line);
+                if (record.op === 'insert') {
+                    await memory.insert(record.order, { outbox: record.outbox });
+                    replayed++;
+                } else if (record.op === 'update') {
+                    await memory.update(record.order.id, () => ({ order: record.order, outbox: record.outbox }));
+                } else if (record.op === 'outbox') {
+                    await memory.outbox.update(record.message.id, record.message);
+                } else if (record.op === 'idempotency' && record.record.expiresAt > Date.now()) {
+                    await memory.idempotency.put(record.key, record.record);
+                }
+            } catch {
+                skipped++;
+            }
+        }
+    }
+    if (skipped > 0) {
+        logger.warn(`Skipped ${skipped} unreadable line(s) in ${filePath}`, { skipped });
+    }
+
+    const handle = await fs.promises.open(filePath, 'a');
+    // Writes are chained so lines never interleave and land in call order
+    let writes = Promise.resolve();
+
+    const append = (record) => {
+        const write = writes.then(async () => {
+            await handle.appendFile(`${JSON.stringify(record)}\n`);
+            if (fsync) await handle.sync();
+        });
+        writes = write.catch(() => {});
+        return write;
+    };
+
+    // Updates read the current order then write: one at a time
+    let updates = Promise.resolve();
+
+    return {
+        async insert(order, { outbox = [] } = {}) {
+            await append({ op: 'insert', order, ...(outbox.length > 0 && { outbox }) });
+            return memory.insert(order, { outbox });
+        },
+        update(id, apply) {
+            const run = updates.then(async () => {
+                const current = await memory.get(id);
+                if (!current) return null;
+                const { order, outbox = [] } = apply(current);
+                await append({ op: 'update', order, ...(outbox.length > 0 && { outbox }) });
+                return memory.update(id, () => ({ order, outbox }));
+            });
+            updates = run.catch(() => {});
+            return run;
+        },
+        get: memory.get,
+        list: memory.list,
+        count: memory.count,
+        query: memory.query,
+        idempotency: {
+            async put(key, record) {
+                await append({ op: 'idempotency', key, record });
+                return memory.idempotency.put(key, record);
+            },
+            get: memory.idempotency.get,
+            // Only in memory: expired lines are dropped at the next replay
+            purgeExpired: memory.idempotency.purgeExpired,
+        },
+        outbox: {
+            // Leases are not persisted: after a restart every pending message is due
+            claim: memory.outbox.claim,
+            get: memory.outbox.get,
+            async update(id, changes) {
+                const message = await memory.outbox.update(id, changes);
+                if (message) await append({ op: 'outbox', message });
+                return message;
+            },
+            list: memory.outbox.list,
+        },
+        describe() {
+            return { backend: 'file', path: filePath, fsync, replayed };
+        },
+        async close() {
+            await writes;
+            await handle.close();
+        },
+    };
+}
+
+async function createSqliteStore({ filePath }) {
+    // Built into Node 22+, loaded only when selected
+    const { DatabaseSync } = await import('node:sqlite');
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const db = new DatabaseSync(filePath);
+    db.exec(`
+        PRAGMA journal_mode = WAL;
+        CREATE TABLE IF NOT EXISTS orders (
+            seq  INTEGER PRIMARY KEY AUTOINCREMENT,
+            id   TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS orders_id ON orders (id);
+        CREATE TABLE IF NOT EXISTS idempotency_records (
+            key        TEXT PRIMARY KEY,
+            data       TEXT NOT NULL,
+            expires_at INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS outbox (
+            seq             INTEGER PRIMARY KEY AUTOINCREMENT,
+            id              TEXT NOT NULL UNIQUE,
+            status          TEXT NOT NULL,
+            next_attempt_at INTEGER NOT NULL,
+            locked_until    INTEGER NOT NULL,
+            data            TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS outbox_due ON outbox (status, next_attempt_at);
+    `);
+
+    const insertStmt = db.prepare('INSERT INTO orders (id, data) VALUES (?, ?)');
+    const getStmt = db.prepare('SELECT seq, data FROM orders WHERE id = ? ORDER BY seq LIMIT 1');
+    const updateStmt = db.prepare('UPDATE orders SET data = ? WHERE seq = ?');
+    const listStmt = db.prepare('SELECT data FROM orders ORDER BY seq');
+    const countStmt = db.prepare('SELECT COUNT(*) AS count FROM orders');
+    // Same fields as createdAtOf() / statusOf() / positionOf()
+    const queryable = `
+        SELECT data,
+            COALESCE(json_extract(data, '$.timestamp'), json_extract(data, '$.storedAt'), '') AS created_at,
+            COALESCE(id, '') AS order_id,
+            CAST(json_extract(data, '$.item') AS TEXT) AS item,
+            COALESCE(json_extract(data, '$.status'), 'created') AS status,
+            json_extract(data, '$.userId') AS user_id
+        FROM orders
+    `;
+    const getRecordStmt = db.prepare('SELECT data FROM idempotency_records WHERE key = ?');
+    const putRecordStmt = db.prepare('INSERT OR REPLACE INTO idempotency_records (key, data, expires_at) VALUES (?, ?, ?)');
+    const purgeRecordsStmt = db.prepare('DELETE FROM idempotency_records WHERE expires_at <= ?');
+    const insertMessageStmt = db.prepare('INSERT INTO outbox (id, status, next_attempt_at, locked_until, data) VALUES (?, ?, ?, ?, ?)');
+    const updateMessageStmt = db.prepare('UPDATE outbox SET status = ?, next_attempt_at = ?, locked_until = ?, data = ? WHERE id = ?');
+    const getMessageStmt = db.prepare('SELECT data FROM outbox WHERE id = ?');
+    const dueMessagesStmt = db.prepare(`
+        SELECT data FROM outbox
+        WHERE status = 'pending' AND next_attempt_at <= ? AND locked_until <= ?
+        ORDER BY seq LIMIT ?
+    `);
+    const listMessagesStmt = db.prepare('SELECT data FROM outbox ORDER BY seq');
+    const listMessagesByStatusStmt = db.prepare('SELECT data FROM outbox WHERE status = ? ORDER BY seq');
+
+    const insertMessage = (message) => insertMessageStmt.run(
+        message.id, message.status, message.nextAttemptAt, message.lockedUntil, JSON.stringify(message),
+    );
+    const writeMessage = (message) => updateMessageStmt.run(
+        message.status, message.nextAttemptAt, message.lockedUntil, JSON.stringify(message), message.id,
+    );
+
+    // DatabaseSync is synchronous: nothing else runs between BEGIN and COMMIT
+    const transaction = (fn) => {
+        db.exec('BEGIN');
+        try {
+            fn();
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    };
+
+    return {
+        async insert(order, { outbox = [] } = {}) {
+            transaction(() => {
+                insertStmt.run(order.id == null ? null : String(order.id), JSON.stringify(order));
+                for (const message of outbox) {
+                    insertMessage(message);
+                }
+            });
+            return order;
+        },
+        async update(id, apply) {
+            let updated = null;
+            transaction(() => {
+                const row = getStmt.get(String(id));
+                if (!row) return;
+                const { order, outbox = [] } = apply(JSON.parse(row.data));
+                updateStmt.run(JSON.stringify(order), row.seq);
+                for (const message of outbox) {
+                    insertMessage(message);
+                }
+                updated = order;
+            });
+            return updated;
+        },
+        async get(id) {
+            const row = getStmt.get(String(id));
+            return row ? JSON.parse(row.data) : null;
+        },
+        async list() {
+            return listStmt.all().map(row => JSON.parse(row.data));
+        },
+        async count() {
+            return countStmt.get().count;
+        },
+        async query({ item, status, userId, from, to, sort = '-createdAt', after, limit }) {
+            const filters = [];
+            const params = [];
+            if (item !== undefined) { filters.push('item = ?'); params.push(item); }
+            if (status !== undefined) { filters.push('status = ?'); params.push(status); }
+            if (userId !== undefined) { filters.push('user_id = ?'); params.push(userId); }
+            if (from !== undefined) { filters.push('created_at >= ?'); params.push(from); }
+            if (to !== undefined) { filters.push('created_at < ?'); params.push(to); }
+            const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+            const { total } = db.prepare(`SELECT COUNT(*) AS total FROM (${queryable}) ${where}`).get(...params);
+
+            const desc = sort.startsWith('-');
+            const page = [...filters];
+            const pageParams = [...params];
+            if (after) {
+                page.push(`(created_at, order_id) ${desc ? '<' : '>'} (?, ?)`);
+                pageParams.push(after.createdAt, after.id);
+            }
+            const order = desc ? 'created_at DESC, order_id DESC' : 'created_at ASC, order_id ASC';
+            const rows = db.prepare(`
+                SELECT data FROM (${queryable})
+                ${page.length > 0 ? `WHERE ${page.join(' AND ')}` : ''}
+                ORDER BY ${order} LIMIT ?
+            `).all(...pageParams, limit + 1);
+
+            return {
+                orders: rows.slice(0, limit).map(row => JSON.parse(row.data)),
+                total,
+                hasMore: rows.length > limit
+            };
+        },
+        idempotency: {
+            async get(key) {
+                const row = getRecordStmt.get(key);
+                return row ? JSON.parse(row.data) : null;
+            },
+            async put(key, record) {
+                putRecordStmt.run(key, JSON.stringify(record), record.expiresAt);
+            },
+            async purgeExpired(now) {
+                purgeRecordsStmt.run(now);
+            },
+        },
+        outbox: {
+            async claim({ now, limit, leaseMs }) {
+                const claimed = dueMessagesStmt.all(now, now, limit).map(row => JSON.parse(row.data));
+                transaction(() => {
+                    for (const message of claimed) {
+                        message.lockedUntil = now + leaseMs;
+                        writeMessage(message);
+                    }
+                });
+                return claimed;
+            },
+            async get(id) {
+                const row = getMessageStmt.get(id);
+                return row ? JSON.parse(row.data) : null;
+            },
+            async update(id, changes) {
+                const row = getMessageStmt.get(id);
+                if (!row) return null;
+                const message = { ...JSON.parse(row.data), ...changes };
+                writeMessage(message);
+                return message;
+            },
+            async list({ status } = {}) {
+                const rows = status ? listMessagesByStatusStmt.all(status) : listMessagesStmt.all();
+                return rows.map(row => JSON.parse(row.data));
+            },
+        },
+        describe() {
+            return { backend: 'sqlite', path: filePath };
+        },
+        async close() {
+            db.close();
+        },
+    };
+}
+
+/**
+ * Create the store selected by `backend` (STORAGE_BACKEND).
+ */
+export async function createStore({ backend = 'memory', filePath, fsync = false, logger }) {
+    switch (backend) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore({ filePath, fsync, logger });
+        case 'sqlite':
+            return createSqliteStore({ filePath });
+        default:
+            throw new Error(`STORAGE_BACKEND must be one of ${STORAGE_BACKENDS.join(', ')} (got "${backend}")`);
+    }
+}
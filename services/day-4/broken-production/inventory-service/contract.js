@@ -0,0 +1,232 @@
+/* contract.js */
+// The service's API contract: an OpenAPI 3.1 document (openapi.js), served as
+// GET /openapi.json and browsable at GET /docs (Swagger UI).
+//
+// With CONTRACT_CHECK=true, every request and every JSON response is also
+// checked against the document: path and query parameters, the request body,
+// and the response body for its status code. A mismatch does not change the
+// response; it is logged and listed at GET /debug/contract, together with the
+// documented responses (operation and status) seen so far and those not seen
+// yet. run-local.mjs turns the check on, provokes every documented response
+// (contract-tests.mjs) and fails on any mismatch or any response it could not
+// see, so a handler and its documentation cannot drift apart unnoticed.
+import Ajv2020 from 'ajv/dist/2020.js';
+
+const CONTRACT_CHECK = process.env.CONTRACT_CHECK === 'true';
+
+// Mismatches kept for GET /debug/contract, the oldest dropped first
+const MAX_VIOLATIONS = 100;
+
+// Served by this module, not part of any document
+const OWN_PATHS = ['/openapi.json', '/docs', '/debug/contract'];
+
+// Loaded by the browser, so the pods need no internet access
+const SWAGGER_UI = 'https://unpkg.com/swagger-ui-dist@5';
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+/**
+ * A JSON response of the document: json('The order', { $ref: '#/components/schemas/Order' }).
+ */
+export const json = (description, schema, mediaType = 'application/json') => ({
+    description,
+    content: { [mediaType]: { schema } }
+});
+
+const docsPage = (title) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });</script>
+</body>
+</html>
+`;
+
+// "/orders/{id}" -> { pattern: /^\/orders\/([^/]+)$/, names: ['id'] }
+function compilePath(path) {
+    const names = [];
+    const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { pattern: new RegExp(`^${pattern}/?$`), names };
+}
+
+/**
+ * Check requests and responses against `document`. Returns the middleware and
+ * the list of mismatches found so far.
+ */
+function createChecker(document, { logger }) {
+    // Schemas only refer to #/components/...: compile each with them at hand
+    const ajv = new Ajv2020({ allErrors: true, strict: false, validateFormats: false });
+    const coercing = new Ajv2020({ allErrors: true, strict: false, validateFormats: false, coerceTypes: 'array' });
+    const compile = (validator, schema) => validator.compile({ ...schema, components: document.components });
+
+    // Literal segments first, so /outbox/dead-letters wins over /outbox/{id}
+    const operations = Object.entries(document.paths)
+        .sort(([a], [b]) => (a.match(/\{/g)?.length ?? 0) - (b.match(/\{/g)?.length ?? 0))
+        .flatMap(([path, item]) => METHODS.filter(method => item[method]).map(method => {
+            const operation = item[method];
+            const parameters = [...(item.parameters ?? []), ...(operation.parameters ?? [])];
+            const paramsSchema = (where) => {
+                const params = parameters.filter(p => p.in === where);
+                return {
+                    type: 'object',
+                    required: params.filter(p => p.required).map(p => p.name),
+                    properties: Object.fromEntries(params.map(p => [p.name, p.schema ?? {}]))
+                };
+            };
+            const body = operation.requestBody;
+            return {
+                method: method.toUpperCase(),
+                path,
+                ...compilePath(path),
+                operation,
+                validatePath: compile(coercing, paramsSchema('path')),
+                validateQuery: compile(coercing, paramsSchema('query')),
+                validateBody: body?.content?.['application/json']?.schema
+                    ? compile(ajv, body.content['application/json'].schema)
+                    : null,
+                bodyRequired: Boolean(body?.required),
+                responses: new Map()
+            };
+        }));
+
+    const find = (req) => {
+        for (const op of operations) {
+            if (op.method !== req.method) continue;
+            const match = op.pattern.exec(req.path);
+            if (match) {
+                const params = Object.fromEntries(op.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+                return { op, params };
+            }
+        }
+        return null;
+    };
+
+    // The documented response for `status`: exact, then 4XX style, then default.
+    // `key` is the one it is documented under, e.g. "404" or "5XX".
+    const responseValidator = (op, status) => {
+        if (!op.responses.has(status)) {
+            const { responses = {} } = op.operation;
+            const key = [String(status), `${String(status)[0]}XX`, 'default'].find(k => responses[k]);
+            const schema = key && Object.values(responses[key].content ?? {})[0]?.schema;
+            op.responses.set(status, key ? { key, validate: schema ? compile(ajv, schema) : null } : null);
+        }
+        return op.responses.get(status);
+    };
+
+    // Every documented response, as "GET /orders/{id} 404", and the ones seen
+    const documented = operations.flatMap(op =>
+        Object.keys(op.operation.responses ?? {}).map(key => `${op.method} ${op.path} ${key}`));
+    const seen = new Set();
+
+    const errorsOf = (validate, prefix) => validate.errors.map(e => `${prefix}${e.instancePath} ${e.message}`);
+
+    const violations = [];
+    let total = 0;
+    const record = (req, res, operation, direction, errors) => {
+        const violation = {
+            at: new Date().toISOString(),
+            operation,
+            path: req.originalUrl,
+            status: res.statusCode,
+            direction,
+            errors
+        };
+        total++;
+        violations.push(violation);
+        if (violations.length > MAX_VIOLATIONS) violations.shift();
+        logger.warn('Contract violation', violation);
+    };
+
+    const checkRequest = (req, { op, params }) => {
+        const errors = [];
+        if (!op.validatePath(params)) errors.push(...errorsOf(op.validatePath, 'path'));
+        const query = structuredClone(req.query);
+        if (!op.validateQuery(query)) errors.push(...errorsOf(op.validateQuery, 'query'));
+        const hasBody = req.body !== undefined && Object.keys(req.body ?? {}).length > 0;
+        if (op.validateBody && (hasBody || op.bodyRequired) && !op.validateBody(req.body)) {
+            errors.push(...errorsOf(op.validateBody, 'body'));
+        }
+        return errors;
+    };
+
+    const middleware = (req, res, next) => {
+        if (OWN_PATHS.includes(req.path)) return next();
+
+        let body;
+        let sentJson = false;
+        const send = res.json.bind(res);
+        res.json = (payload) => {
+            body = payload;
+            sentJson = true;
+            return send(payload);
+        };
+
+        res.on('finish', () => {
+            const found = find(req);
+            if (!found) {
+                // Unknown paths are expected to be a 404, anything else is undocumented
+                if (res.statusCode !== 404) {
+                    record(req, res, `${req.method} ${req.path}`, 'request', ['operation not in the document']);
+                }
+                return;
+            }
+            const operation = `${found.op.method} ${found.op.path}`;
+
+            // A request the service refused (4xx) may well not match: that is why it was refused
+            if (res.statusCode < 400) {
+                const errors = checkRequest(req, found);
+                if (errors.length > 0) record(req, res, operation, 'request', errors);
+            }
+
+            const response = responseValidator(found.op, res.statusCode);
+            if (!response) {
+                record(req, res, operation, 'response', [`status ${res.statusCode} not documented`]);
+                return;
+            }
+            seen.add(`${operation} ${response.key}`);
+            if (sentJson && response.validate && !response.validate(body)) {
+                record(req, res, operation, 'response', errorsOf(response.validate, 'body'));
+            }
+        });
+        next();
+    };
+
+    const report = () => ({
+        enabled: true,
+        total,
+        violations,
+        coverage: { seen: documented.filter(r => seen.has(r)), notSeen: documented.filter(r => !seen.has(r)) }
+    });
+
+    return { middleware, report };
+}
+
+/**
+ * Serve `document` (/openapi.json, /docs) and, with CONTRACT_CHECK=true, check
+ * traffic against it. Call it before the routes it describes.
+ */
+export function serveContract(app, document, { logger }) {
+    const checker = CONTRACT_CHECK ? createChecker(document, { logger }) : null;
+    if (checker) app.use(checker.middleware);
+
+    app.get('/openapi.json', (req, res) => {
+        res.json(document);
+    });
+
+    app.get('/docs', (req, res) => {
+        res.type('html').send(docsPage(`${document.info.title} ${document.info.version}`));
+    });
+
+    app.get('/debug/contract', (req, res) => {
+        res.json(checker ? checker.report() : { enabled: false, total: 0, violations: [], coverage: null });
+    });
+}
@@ -0,0 +1,195 @@
+/* openapi.js */
+// The API of inventory-service, served at /openapi.json and /docs (see contract.js).
+import { json } from './contract.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const error = (description) => json(description, ref('Error'));
+
+const reservation = (description) => json(description, {
+    type: 'object', required: ['reservation'], properties: { reservation: ref('Reservation') }
+});
+
+const itemParameter = { name: 'item', in: 'path', required: true, schema: { type: 'string' } };
+const idParameter = { name: 'id', in: 'path', required: true, description: 'Reservation id', schema: { type: 'string' } };
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart inventory-service',
+        version: '1.0.0',
+        description: 'Stock, and reservations holding it for orders: reserved, then confirmed (the order is stored) '
+            + 'or released (the saga was compensated, or the reservation expired).'
+    },
+    tags: [{ name: 'stock' }, { name: 'reservations' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness',
+                responses: {
+                    200: json('Alive', {
+                        type: 'object',
+                        required: ['status', 'service'],
+                        properties: {
+                            status: { const: 'healthy' },
+                            service: { const: 'inventory-service' },
+                            items: { type: 'integer' },
+                            reservations: { type: 'integer' }
+                        }
+                    })
+                }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/inventory': {
+            get: {
+                tags: ['stock'],
+                summary: 'Stock of every known item',
+                responses: {
+                    200: json('Stock', {
+                        type: 'object',
+                        required: ['items', 'count'],
+                        properties: { items: { type: 'array', items: ref('Stock') }, count: { type: 'integer' } }
+                    })
+                }
+            }
+        },
+        '/inventory/{item}': {
+            parameters: [itemParameter],
+            get: {
+                tags: ['stock'],
+                summary: 'Stock of an item (INVENTORY_DEFAULT_STOCK for an item seen for the first time)',
+                responses: { 200: json('Stock', ref('Stock')) }
+            },
+            put: {
+                tags: ['stock'],
+                summary: 'Set what is on the shelf',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: { type: 'object', required: ['onHand'], properties: { onHand: { type: 'integer', minimum: 0 } } }
+                        }
+                    }
+                },
+                responses: { 200: json('Updated stock', ref('Stock')), 400: error('Invalid onHand') }
+            }
+        },
+        '/reservations': {
+            post: {
+                tags: ['reservations'],
+                summary: 'Hold stock for an order',
+                description: 'A reference that already holds (or used) stock gets the same reservation back, with 200.',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['item', 'quantity'],
+                                properties: {
+                                    item: { type: 'string', minLength: 1 },
+                                    quantity: { type: 'integer', minimum: 1 },
+                                    reference: { type: 'string', description: 'The order\'s Idempotency-Key' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: reservation('Existing reservation for this reference'),
+                    201: reservation('Reserved'),
+                    400: error('Invalid item or quantity'),
+                    409: json('Not enough stock', {
+                        allOf: [ref('Error')], required: ['available'], properties: { available: { type: 'integer' } }
+                    })
+                }
+            },
+            get: {
+                tags: ['reservations'],
+                summary: 'Reservations, optionally by status',
+                parameters: [{ name: 'status', in: 'query', schema: ref('ReservationStatus') }],
+                responses: {
+                    200: json('Reservations', {
+                        type: 'object',
+                        required: ['reservations', 'count'],
+                        properties: { reservations: { type: 'array', items: ref('Reservation') }, count: { type: 'integer' } }
+                    })
+                }
+            }
+        },
+        '/reservations/{id}': {
+            parameters: [idParameter],
+            get: {
+                tags: ['reservations'],
+                summary: 'A reservation',
+                responses: { 200: reservation('The reservation'), 404: error('No such reservation') }
+            }
+        },
+        '/reservations/{id}/confirm': {
+            parameters: [idParameter],
+            post: {
+                tags: ['reservations'],
+                summary: 'The order is stored: take the stock off the shelf',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { orderId: { type: 'string' } } } } } },
+                responses: {
+                    200: reservation('Confirmed'),
+                    404: error('No such reservation'),
+                    409: json('Already released', {
+                        allOf: [ref('Error')], properties: { reservation: ref('Reservation') }
+                    })
+                }
+            }
+        },
+        '/reservations/{id}/release': {
+            parameters: [idParameter],
+            post: {
+                tags: ['reservations'],
+                summary: 'Give the stock back (releasing twice is fine)',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } } },
+                responses: { 200: reservation('Released'), 404: error('No such reservation') }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            Stock: {
+                type: 'object',
+                required: ['item', 'onHand', 'reserved', 'available'],
+                properties: {
+                    item: { type: 'string' },
+                    onHand: { type: 'integer', description: 'On the shelf' },
+                    reserved: { type: 'integer', description: 'Held by unconfirmed reservations' },
+                    available: { type: 'integer' }
+                }
+            },
+            ReservationStatus: { enum: ['reserved', 'confirmed', 'released'] },
+            Reservation: {
+                type: 'object',
+                required: ['id', 'item', 'quantity', 'status', 'createdAt', 'expiresAt'],
+                properties: {
+                    id: { type: 'string' },
+                    reference: { type: 'string' },
+                    item: { type: 'string' },
+                    quantity: { type: 'integer' },
+                    status: ref('ReservationStatus'),
+                    orderId: { type: 'string' },
+                    createdAt: { type: 'string', format: 'date-time' },
+                    expiresAt: { type: 'string', format: 'date-time' },
+                    confirmedAt: { type: 'string', format: 'date-time' },
+                    releasedAt: { type: 'string', format: 'date-time' },
+                    releaseReason: { type: 'string' }
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import express from 'express';
+
+import { serveContract } from './contract.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { handleShutdown, readinessProbe, trackInFlight } from './shutdown.js';
+
+const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'inventory-service' });
+const PORT = process.env.PORT || 3000;
+// Stock at startup, as JSON: {"laptop": 25, "phone": 100}
+const INVENTORY_STOCK = process.env.INVENTORY_STOCK;
+// Stock of an item seen for the first time (the load tests use made-up items)
+const INVENTORY_DEFAULT_STOCK = parseInt(process.env.INVENTORY_DEFAULT_STOCK || '1000', 10);
+// A reservation that is neither confirmed nor released by then is released,
+// so an order-service that died mid-saga does not hold stock forever
+const RESERVATION_TTL_MS = parseInt(process.env.RESERVATION_TTL_MS || '900000', 10);
+
+app.use(express.json());
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true)
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
+
+// Stock and reservations are kept in memory
+// item -> { item, onHand, reserved }: onHand is on the shelf (confirmed
+// reservations are taken off it), reserved is held by unconfirmed reservations
+const stock = new Map();
+const reservations = new Map();
+// reference (the order's Idempotency-Key) -> reservation: a retried saga gets its reservation back
+const reservationsByReference = new Map();
+
+const available = (entry) => entry.onHand - entry.reserved;
+
+function stockFor(item) {
+    if (!stock.has(item)) {
+        stock.set(item, { item, onHand: INVENTORY_DEFAULT_STOCK, reserved: 0 });
+    }
+    return stock.get(item);
+}
+
+const withAvailable = (entry) => ({ ...entry, available: available(entry) });
+
+// Give a reservation's stock back: to the pool while it is held, to the
+// shelf once it was confirmed
+function release(reservation, reason) {
+    const entry = stockFor(reservation.item);
+    if (reservation.status === 'reserved') entry.reserved -= reservation.quantity;
+    if (reservation.status === 'confirmed') entry.onHand += reservation.quantity;
+    reservation.status = 'released';
+    reservation.releasedAt = new Date().toISOString();
+    reservation.releaseReason = reason;
+}
+
+function expireReservations() {
+    const now = Date.now();
+    for (const reservation of reservations.values()) {
+        if (reservation.status === 'reserved' && Date.parse(reservation.expiresAt) <= now) {
+            release(reservation, 'expired');
+            logger.warn('Reservation expired', { reservationId: reservation.id, reference: reservation.reference });
+        }
+    }
+}
+
+setInterval(expireReservations, Math.min(RESERVATION_TTL_MS, 60000)).unref();
+
+if (INVENTORY_STOCK) {
+    try {
+        for (const [item, onHand] of Object.entries(JSON.parse(INVENTORY_STOCK))) {
+            stock.set(item, { item, onHand: Number(onHand), reserved: 0 });
+        }
+    } catch (error) {
+        logger.error('FATAL: invalid INVENTORY_STOCK', { error });
+        process.exit(1);
+    }
+}
+
+// Health endpoint
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        service: 'inventory-service',
+        items: stock.size,
+        reservations: reservations.size
+    });
+});
+
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
+app.get('/inventory', (req, res) => {
+    const items = [...stock.values()].map(withAvailable);
+    res.json({ items, count: items.length });
+});
+
+app.get('/inventory/:item', (req, res) => {
+    res.json(withAvailable(stockFor(req.params.item)));
+});
+
+// Restock, or set up a shortage for an exercise: { "onHand": 0 }
+app.put('/inventory/:item', (req, res) => {
+    const onHand = req.body?.onHand;
+    if (!Number.isInteger(onHand) || onHand < 0) {
+        return res.status(400).json({ error: 'onHand must be a non-negative integer' });
+    }
+    const entry = stockFor(req.params.item);
+    entry.onHand = onHand;
+    logger.info('Stock updated', { item: entry.item, onHand, reserved: entry.reserved });
+    res.json(withAvailable(entry));
+});
+
+// Hold stock for an order: { item, quantity, reference }. A reference that
+// already holds (or used) stock gets the same reservation back.
+app.post('/reservations', (req, res) => {
+    const { item, quantity, reference } = req.body ?? {};
+    if (typeof item !== 'string' || item === '') {
+        return res.status(400).json({ error: 'item must be a non-empty string' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ error: 'quantity must be a positive integer' });
+    }
+
+    const existing = reference && reservationsByReference.get(reference);
+    if (existing && existing.status !== 'released') {
+        logger.info('Reservation already made', { reservationId: existing.id, reference });
+        return res.json({ reservation: existing });
+    }
+
+    const entry = stockFor(item);
+    if (available(entry) < quantity) {
+        logger.warn('Not enough stock', { item, quantity, available: available(entry), reference });
+        return res.status(409).json({
+            error: `Not enough stock for ${item}: ${available(entry)} available`,
+            available: available(entry)
+        });
+    }
+
+    const reservation = {
+        id: `rsv-${crypto.randomUUID()}`,
+        reference,
+        item,
+        quantity,
+        status: 'reserved',
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + RESERVATION_TTL_MS).toISOString()
+    };
+    entry.reserved += quantity;
+    reservations.set(reservation.id, reservation);
+    if (reference) reservationsByReference.set(reference, reservation);
+
+    logger.info('Stock reserved', { reservationId: reservation.id, item, quantity, reference });
+    res.status(201).json({ reservation });
+});
+
+// All reservations, or only one status (?status=reserved|confirmed|released)
+app.get('/reservations', (req, res) => {
+    const list = [...reservations.values()].filter(r => !req.query.status || r.status === req.query.status);
+    res.json({ reservations: list, count: list.length });
+});
+
+app.get('/reservations/:id', (req, res) => {
+    const reservation = reservations.get(req.params.id);
+    if (!reservation) {
+        return res.status(404).json({ error: 'Reservation not found' });
+    }
+    res.json({ reservation });
+});
+
+// The order is stored: the stock leaves the shelf. { orderId }
+app.post('/reservations/:id/confirm', (req, res) => {
+    const reservation = reservations.get(req.params.id);
+    if (!reservation) {
+        return res.status(404).json({ error: 'Reservation not found' });
+    }
+    if (reservation.status === 'confirmed') {
+        return res.json({ reservation });
+    }
+    if (reservation.status !== 'reserved') {
+        return res.status(409).json({ error: `Reservation is ${reservation.status}`, reservation });
+    }
+
+    const entry = stockFor(reservation.item);
+    entry.reserved -= reservation.quantity;
+    entry.onHand -= reservation.quantity;
+    reservation.status = 'confirmed';
+    reservation.orderId = req.body?.orderId;
+    reservation.confirmedAt = new Date().toISOString();
+
+    logger.info('Reservation confirmed', { reservationId: reservation.id, orderId: reservation.orderId });
+    res.json({ reservation });
+});
+
+// Compensation: give the stock back. Releasing twice is fine.
+app.post('/reservations/:id/release', (req, res) => {
+    const reservation = reservations.get(req.params.id);
+    if (!reservation) {
+        return res.status(404).json({ error: 'Reservation not found' });
+    }
+    if (reservation.status !== 'released') {
+        release(reservation, req.body?.reason);
+        logger.info('Reservation released', { reservationId: reservation.id, reason: reservation.releaseReason });
+    }
+    res.json({ reservation });
+});
+
+const server = app.listen(PORT, () => {
+    logger.info('Inventory Service started', {
+        port: PORT,
+        items: [...stock.keys()],
+        defaultStock: INVENTORY_DEFAULT_STOCK,
+        reservationTtlMs: RESERVATION_TTL_MS
+    });
+});
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
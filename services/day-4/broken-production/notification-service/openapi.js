@@ -0,0 +1,204 @@
+/* openapi.js */
+// The API of notification-service, served at /openapi.json and /docs (see contract.js).
+import { json } from './contract.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const error = (description) => json(description, ref('Error'));
+
+// Registering and removing subscribers needs SUBSCRIBERS_ADMIN_TOKEN
+const adminErrors = {
+    401: error('Missing or wrong bearer token'),
+    403: error('Subscriber changes disabled: SUBSCRIBERS_ADMIN_TOKEN not set')
+};
+
+const notificationResult = (description) => json(description, {
+    type: 'object',
+    required: ['success', 'notification'],
+    properties: { success: { const: true }, notification: ref('Notification'), message: { type: 'string' } }
+});
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart notification-service',
+        version: '1.0.0',
+        description: 'Receives order notifications (from the order-service outbox) and delivers them to webhook '
+            + 'subscribers, signed with each subscriber\'s secret.'
+    },
+    tags: [{ name: 'notifications' }, { name: 'subscribers' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness',
+                responses: {
+                    200: json('Alive', {
+                        type: 'object',
+                        required: ['status', 'service'],
+                        properties: {
+                            status: { const: 'healthy' },
+                            service: { const: 'notification-service' },
+                            notificationsSent: { type: 'integer' },
+                            subscribers: { type: 'integer' }
+                        }
+                    })
+                }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/notify': {
+            post: {
+                tags: ['notifications'],
+                summary: 'Send a notification to every matching subscriber (in the background)',
+                description: 'A repeated Idempotency-Key returns the notification accepted the first time.',
+                parameters: [{ name: 'Idempotency-Key', in: 'header', schema: { type: 'string' } }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: { type: { type: 'string', description: 'e.g. order_created' }, order: { type: 'object' } }
+                            }
+                        }
+                    }
+                },
+                responses: { 200: notificationResult('Accepted') }
+            }
+        },
+        '/notifications': {
+            get: {
+                tags: ['notifications'],
+                summary: 'Notifications with their delivery attempts',
+                description: 'Only the latest NOTIFICATIONS_MAX_ENTRIES (1000 by default) are kept.',
+                parameters: [{ name: 'status', in: 'query', schema: ref('NotificationStatus') }],
+                responses: {
+                    200: json('Notifications', {
+                        type: 'object',
+                        required: ['notifications', 'count'],
+                        properties: { notifications: { type: 'array', items: ref('Notification') }, count: { type: 'integer' } }
+                    })
+                }
+            }
+        },
+        '/notifications/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            get: {
+                tags: ['notifications'],
+                summary: 'A notification with its delivery attempts',
+                responses: { 200: json('The notification', ref('Notification')), 404: error('No such notification') }
+            }
+        },
+        '/subscribers': {
+            post: {
+                tags: ['subscribers'],
+                summary: 'Register a webhook subscriber',
+                description: 'The response carries the signing secret: it is not shown again. '
+                    + 'The url\'s host must be in WEBHOOK_ALLOWED_HOSTS.',
+                security: [{ subscribersAdmin: [] }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['url'],
+                                properties: {
+                                    url: { type: 'string', format: 'uri' },
+                                    events: { type: 'array', minItems: 1, items: { type: 'string' }, default: ['*'] },
+                                    secret: { type: 'string', description: 'Generated when not given' },
+                                    maxAttempts: { type: 'integer', minimum: 1, maximum: 20 },
+                                    backoffBaseMs: { type: 'integer', minimum: 1, maximum: 60000 },
+                                    backoffMaxMs: { type: 'integer', minimum: 1, maximum: 3600000 }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    201: json('Registered, with its secret', {
+                        allOf: [ref('Subscriber')], required: ['secret'], properties: { secret: { type: 'string' } }
+                    }),
+                    400: error('Invalid url or events, or a host that is not allowed'),
+                    ...adminErrors
+                }
+            },
+            get: {
+                tags: ['subscribers'],
+                summary: 'Registered subscribers (without their secrets)',
+                responses: {
+                    200: json('Subscribers', {
+                        type: 'object',
+                        required: ['subscribers', 'count'],
+                        properties: { subscribers: { type: 'array', items: ref('Subscriber') }, count: { type: 'integer' } }
+                    })
+                }
+            }
+        },
+        '/subscribers/{id}': {
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            delete: {
+                tags: ['subscribers'],
+                summary: 'Remove a subscriber',
+                security: [{ subscribersAdmin: [] }],
+                responses: { 204: { description: 'Removed' }, 404: error('No such subscriber'), ...adminErrors }
+            }
+        }
+    },
+    components: {
+        securitySchemes: {
+            subscribersAdmin: { type: 'http', scheme: 'bearer', description: 'SUBSCRIBERS_ADMIN_TOKEN' }
+        },
+        schemas: {
+            Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            NotificationStatus: { enum: ['pending', 'delivered', 'failed'] },
+            Notification: {
+                type: 'object',
+                required: ['id', 'type', 'timestamp', 'deliveries', 'status'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    order: { type: 'object' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    status: ref('NotificationStatus'),
+                    deliveries: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id', 'subscriberId', 'status', 'attempts'],
+                            properties: {
+                                id: { type: 'string' },
+                                subscriberId: { type: 'string' },
+                                url: { type: 'string' },
+                                status: { enum: ['pending', 'delivered', 'failed'] },
+                                attempts: { type: 'array', items: { type: 'object' } },
+                                nextAttemptAt: { type: ['string', 'null'] }
+                            }
+                        }
+                    }
+                }
+            },
+            Subscriber: {
+                type: 'object',
+                required: ['id', 'url', 'events', 'createdAt'],
+                properties: {
+                    id: { type: 'string' },
+                    url: { type: 'string' },
+                    events: { type: 'array', items: { type: 'string' } },
+                    maxAttempts: { type: 'integer' },
+                    backoffBaseMs: { type: 'integer' },
+                    backoffMaxMs: { type: 'integer' },
+                    createdAt: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    }
+};
@@ -1,57 +1,247 @@
+import crypto from 'crypto';
 import express from 'express';
 
+import { serveContract } from './contract.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { handleShutdown, onShutdown, readinessProbe, trackInFlight } from './shutdown.js';
+import { createWebhookDispatcher } from './webhooks.js';
+
 const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'notification-service' });
 const PORT = process.env.PORT || 3000;
+// Subscribers registered at startup, as JSON:
+//   [{"url": "https://...", "events": ["order_created"], "secret": "..."}]
+const WEBHOOK_SUBSCRIBERS = process.env.WEBHOOK_SUBSCRIBERS;
+// Notifications kept for GET /notifications and for dropping repeats: older
+// ones are forgotten (their pending deliveries still run)
+const NOTIFICATIONS_MAX_ENTRIES = parseInt(process.env.NOTIFICATIONS_MAX_ENTRIES || '1000', 10);
+// Registering and removing subscribers needs this bearer token; unset, only
+// WEBHOOK_SUBSCRIBERS can add them
+const SUBSCRIBERS_ADMIN_TOKEN = process.env.SUBSCRIBERS_ADMIN_TOKEN ?? '';
+// Hosts webhooks may be sent to, comma-separated: "hooks.example.com,*.partner.example"
+// (*. for any subdomain). Anything else is refused, so notification-service
+// cannot be pointed at internal services or cloud metadata endpoints.
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS ?? '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
 
 app.use(express.json());
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true)
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
 
-// Store notifications in memory
+// Store notifications and subscribers in memory, oldest notification first
 const notifications = [];
+const subscribers = new Map();
+// Idempotency-Key -> notification: the order-service outbox may send one twice
+const notificationsByKey = new Map();
+let notificationsSent = 0;
+
+// Keep `notification`, and forget the oldest beyond NOTIFICATIONS_MAX_ENTRIES
+function remember(notification, idempotencyKey) {
+    notifications.push(notification);
+    if (idempotencyKey) notificationsByKey.set(idempotencyKey, notification);
+    notificationsSent++;
+
+    while (notifications.length > NOTIFICATIONS_MAX_ENTRIES) notifications.shift();
+    // A Map iterates in insertion order: the first keys are the oldest
+    for (const key of notificationsByKey.keys()) {
+        if (notificationsByKey.size <= NOTIFICATIONS_MAX_ENTRIES) break;
+        notificationsByKey.delete(key);
+    }
+}
+
+const webhooks = createWebhookDispatcher({ logger: logger.child({ component: 'webhooks' }) });
+
+// Cancel scheduled retries, let running attempts finish
+onShutdown('webhooks', () => webhooks.stop());
+
+// Subscribers never leave with their secret, except once, when registered
+const publicSubscriber = ({ secret, ...subscriber }) => subscriber;
+
+const hostAllowed = (hostname) => WEBHOOK_ALLOWED_HOSTS.some(allowed =>
+    allowed.startsWith('*.') ? hostname.endsWith(allowed.slice(1)) : hostname === allowed);
+
+// Upper bounds of a subscriber's own retry settings
+const SUBSCRIBER_LIMITS = { maxAttempts: 20, backoffBaseMs: 60000, backoffMaxMs: 3600000 };
+
+// `value` of subscriber setting `name` as a positive integer up to its limit
+function subscriberSetting(name, value) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(number) || number < 1 || number > SUBSCRIBER_LIMITS[name]) {
+        throw new Error(`${name} must be an integer from 1 to ${SUBSCRIBER_LIMITS[name]}`);
+    }
+    return number;
+}
+
+function addSubscriber({ url, events = ['*'], secret, maxAttempts, backoffBaseMs, backoffMaxMs }) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error('url must be an absolute URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('url must use http or https');
+    }
+    if (!hostAllowed(parsed.hostname)) {
+        throw new Error(`url host ${parsed.hostname} is not allowed (WEBHOOK_ALLOWED_HOSTS)`);
+    }
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => typeof e !== 'string')) {
+        throw new Error('events must be a non-empty array of notification types ("*" for all)');
+    }
+    const retries = {};
+    for (const [name, value] of Object.entries({ maxAttempts, backoffBaseMs, backoffMaxMs })) {
+        if (value !== undefined) retries[name] = subscriberSetting(name, value);
+    }
+
+    const subscriber = {
+        id: `sub-${crypto.randomUUID()}`,
+        url: parsed.href,
+        events,
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        ...retries,
+        createdAt: new Date().toISOString()
+    };
+    subscribers.set(subscriber.id, subscriber);
+    return subscriber;
+}
+
+// pending while any delivery is, failed if one gave up, delivered otherwise
+function notificationStatus(notification) {
+    const statuses = notification.deliveries.map(d => d.status);
+    if (statuses.includes('pending')) return 'pending';
+    if (statuses.includes('failed')) return 'failed';
+    return 'delivered';
+}
+
+const withStatus = (notification) => ({ ...notification, status: notificationStatus(notification) });
+
+if (WEBHOOK_SUBSCRIBERS) {
+    try {
+        for (const config of JSON.parse(WEBHOOK_SUBSCRIBERS)) addSubscriber(config);
+    } catch (error) {
+        logger.error('FATAL: invalid WEBHOOK_SUBSCRIBERS', { error });
+        process.exit(1);
+    }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Changes to the subscribers need SUBSCRIBERS_ADMIN_TOKEN as a bearer token.
+// Hashes are compared so the comparison time does not depend on the token.
+function requireSubscribersAdmin(req, res, next) {
+    if (!SUBSCRIBERS_ADMIN_TOKEN) {
+        return res.status(403).json({ error: 'Subscriber changes disabled (SUBSCRIBERS_ADMIN_TOKEN not set)' });
+    }
+    const [scheme, token = ''] = (req.get('Authorization') ?? '').split(' ');
+    if (scheme !== 'Bearer' || !crypto.timingSafeEqual(sha256(token), sha256(SUBSCRIBERS_ADMIN_TOKEN))) {
+        logger.warn('Subscriber change rejected: invalid token', { method: req.method, path: req.path, ip: req.ip });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+}
 
 // Health endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         service: 'notification-service',
-        notificationsSent: notifications.length
+        notificationsSent,
+        subscribers: subscribers.size
     });
 });
 
-// Send notification endpoint
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
+// Register a webhook subscriber. The response carries the signing secret:
+// it is not shown again.
+app.post('/subscribers', requireSubscribersAdmin, (req, res) => {
+    try {
+        const subscriber = addSubscriber(req.body ?? {});
+        logger.info('Subscriber registered', { subscriberId: subscriber.id, url: subscriber.url, events: subscriber.events });
+        res.status(201).json(subscriber);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/subscribers', (req, res) => {
+    const list = [...subscribers.values()].map(publicSubscriber);
+    res.json({ subscribers: list, count: list.length });
+});
+
+app.delete('/subscribers/:id', requireSubscribersAdmin, (req, res) => {
+    if (!subscribers.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    logger.info('Subscriber removed', { subscriberId: req.params.id });
+    res.status(204).end();
+});
+
+// Send notification endpoint: delivered to every matching subscriber in the background
 app.post('/notify', (req, res) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    const existing = idempotencyKey && notificationsByKey.get(idempotencyKey);
+    if (existing) {
+        logger.info('Duplicate notification ignored', { notificationId: existing.id, idempotencyKey });
+        return res.json({ success: true, notification: withStatus(existing), message: 'Notification already accepted' });
+    }
+
     const notification = {
         id: `notif-${Date.now()}-${Math.random().toString(36).substring(7)}`,
         type: req.body.type || 'unknown',
         order: req.body.order,
         timestamp: new Date().toISOString(),
-        status: 'sent'
+        deliveries: []
     };
 
-    notifications.push(notification);
+    const matching = [...subscribers.values()].filter(s => s.events.includes('*') || s.events.includes(notification.type));
+    notification.deliveries = matching.map(subscriber => webhooks.deliver(notification, subscriber));
 
-    console.log(`Notification sent: ${notification.type} for order ${notification.order?.id}`);
+    remember(notification, idempotencyKey);
 
-    // Simulate sending to external webhook (just log it)
-    console.log('Webhook payload:', JSON.stringify(notification, null, 2));
+    logger.info(`Notification sent: ${notification.type} for order ${notification.order?.id}`, {
+        notificationId: notification.id,
+        subscribers: matching.length
+    });
 
     res.json({
         success: true,
-        notification: notification,
+        notification: withStatus(notification),
         message: 'Notification sent successfully'
     });
 });
 
-// Get all notifications (for debugging)
+// Get notifications with their delivery attempts, optionally by status
+// (?status=pending|delivered|failed)
 app.get('/notifications', (req, res) => {
+    const list = notifications
+        .map(withStatus)
+        .filter(n => !req.query.status || n.status === req.query.status);
     res.json({
-        notifications: notifications,
-        count: notifications.length
+        notifications: list,
+        count: list.length
     });
 });
 
-app.listen(PORT, () => {
-    console.log(JSON.stringify({
-        msg: 'Notification Service started',
-        port: PORT
-    }));
+app.get('/notifications/:id', (req, res) => {
+    const notification = notifications.find(n => n.id === req.params.id);
+    if (!notification) {
+        return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json(withStatus(notification));
 });
+
+const server = app.listen(PORT, () => {
+    logger.info('Notification Service started', {
+        port: PORT,
+        maxNotifications: NOTIFICATIONS_MAX_ENTRIES,
+        subscribersAdminApi: SUBSCRIBERS_ADMIN_TOKEN ? 'enabled' : 'disabled',
+        allowedHosts: WEBHOOK_ALLOWED_HOSTS,
+        subscribers: [...subscribers.values()].map(s => s.url)
+    });
+});
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
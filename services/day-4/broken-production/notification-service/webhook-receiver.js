@@ -0,0 +1,65 @@
+/* webhook-receiver.js */
+// Stand-in for an external webhook endpoint, to try notification-service locally:
+//   WEBHOOK_SECRET=<subscriber secret> PORT=4000 node webhook-receiver.js
+// Checks the signature of every request, logs it, and answers 200 (400 if the
+// body is not JSON). With FAIL_FIRST=n the first n requests get a 503, to
+// watch the retries.
+import http from 'http';
+
+import { createLogger } from './logger.js';
+import { verifySignature } from './webhooks.js';
+
+const logger = createLogger({ service: 'webhook-receiver' });
+const PORT = process.env.PORT || 4000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_FIRST = parseInt(process.env.FAIL_FIRST || '0', 10);
+// Older requests are rejected, so a captured request cannot be replayed later
+const MAX_AGE_SECONDS = 300;
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        received++;
+        const body = Buffer.concat(chunks).toString('utf8');
+        const timestamp = req.headers['x-webhook-timestamp'];
+        const signature = req.headers['x-webhook-signature'];
+
+        const fresh = Math.abs(Date.now() / 1000 - Number(timestamp)) <= MAX_AGE_SECONDS;
+        const valid = !WEBHOOK_SECRET || (fresh && verifySignature(WEBHOOK_SECRET, timestamp, body, signature));
+        if (!valid) {
+            logger.warn('Rejected webhook: bad signature or timestamp', { deliveryId: req.headers['x-webhook-id'] });
+            res.writeHead(401).end();
+            return;
+        }
+
+        if (received <= FAIL_FIRST) {
+            logger.warn(`Simulated failure ${received}/${FAIL_FIRST}`, { deliveryId: req.headers['x-webhook-id'] });
+            res.writeHead(503).end();
+            return;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            logger.warn('Rejected webhook: body is not JSON', { deliveryId: req.headers['x-webhook-id'], error: error.message });
+            res.writeHead(400).end();
+            return;
+        }
+
+        logger.info('Webhook received', {
+            deliveryId: req.headers['x-webhook-id'],
+            event: req.headers['x-webhook-event'],
+            signatureChecked: Boolean(WEBHOOK_SECRET),
+            payload
+        });
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"received":true}');
+    });
+});
+
+server.listen(PORT, () => {
+    logger.info('Webhook receiver listening', { port: PORT, failFirst: FAIL_FIRST, verifying: Boolean(WEBHOOK_SECRET) });
+});
@@ -0,0 +1,162 @@
+/* webhooks.js */
+// Webhook delivery: every notification is POSTed to each subscriber listening
+// for its type. Each subscriber gets its own delivery, retried on its own with
+// exponential backoff, so one slow or broken endpoint never holds up the others.
+//
+// Requests are signed so a receiver can check they come from CloudMart:
+//   X-Webhook-Id         delivery id (the same on every retry, use it to drop repeats)
+//   X-Webhook-Event      notification type, e.g. order_created
+//   X-Webhook-Timestamp  unix seconds, reject old ones to stop replays
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the subscriber secret>
+import crypto from 'crypto';
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+const WEBHOOK_MAX_ATTEMPTS = numberFromEnv('WEBHOOK_MAX_ATTEMPTS', 6);
+const WEBHOOK_BACKOFF_BASE_MS = numberFromEnv('WEBHOOK_BACKOFF_BASE_MS', 1000);
+const WEBHOOK_BACKOFF_MAX_MS = numberFromEnv('WEBHOOK_BACKOFF_MAX_MS', 60000);
+const WEBHOOK_TIMEOUT_MS = numberFromEnv('WEBHOOK_TIMEOUT_MS', 5000);
+
+/**
+ * Signature header value for `body` (the exact bytes sent) at `timestamp`.
+ */
+export function signPayload(secret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${hmac}`;
+}
+
+/**
+ * Receiver side: constant-time check of a signature header.
+ */
+export function verifySignature(secret, timestamp, body, signature) {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(String(signature));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Delay after `attempts` failed attempts: base * 2^(attempts - 1), capped,
+ * with up to 20% jitter so retries from many deliveries do not line up.
+ */
+export function backoffDelay(attempts, { baseMs = WEBHOOK_BACKOFF_BASE_MS, maxMs = WEBHOOK_BACKOFF_MAX_MS } = {}) {
+    const delay = Math.min(maxMs, baseMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.2));
+}
+
+/**
+ * Create the dispatcher.
+ * A subscriber is `{ id, url, secret, events }`, optionally with its own
+ * `maxAttempts`, `backoffBaseMs` and `backoffMaxMs`.
+ */
+export function createWebhookDispatcher({ logger }) {
+    const timers = new Set();
+    const inFlight = new Set();
+    let stopped = false;
+
+    const attempt = async (delivery, subscriber, notification) => {
+        const body = JSON.stringify({
+            id: notification.id,
+            type: notification.type,
+            order: notification.order,
+            timestamp: notification.timestamp
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const start = performance.now();
+        const record = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+
+        try {
+            const response = await fetch(subscriber.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'CloudMart-Webhooks/1.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': notification.type,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(subscriber.secret, timestamp, body)
+                },
+                body,
+                // A redirect could lead to a host that is not allowed: it counts as a failure
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            await response.body?.cancel();
+            record.statusCode = response.status;
+            record.ok = response.ok;
+            if (!response.ok) record.error = `HTTP ${response.status}`;
+        } catch (error) {
+            record.ok = false;
+            // fetch() hides the network error (ECONNREFUSED, ENOTFOUND...) in `cause`
+            record.error = error.cause?.message ?? error.message;
+        }
+        record.durationMs = Math.round(performance.now() - start);
+        delivery.attempts.push(record);
+
+        const maxAttempts = subscriber.maxAttempts ?? WEBHOOK_MAX_ATTEMPTS;
+        if (record.ok) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+            logger.info('Webhook delivered', { deliveryId: delivery.id, subscriberId: subscriber.id, attempts: record.attempt });
+        } else if (record.attempt >= maxAttempts) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            logger.error('Webhook delivery failed, giving up', {
+                deliveryId: delivery.id, subscriberId: subscriber.id, attempts: record.attempt, error: record.error
+            });
+        } else {
+            const delayMs = backoffDelay(record.attempt, {
+                baseMs: subscriber.backoffBaseMs ?? WEBHOOK_BACKOFF_BASE_MS,
+                maxMs: subscriber.backoffMaxMs ?? WEBHOOK_BACKOFF_MAX_MS
+            });
+            delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            logger.warn('Webhook delivery failed, will retry', {
+                deliveryId: delivery.id, subscriberId: subscriber.id, attempts: record.attempt, retryInMs: delayMs, error: record.error
+            });
+            schedule(delivery, subscriber, notification, delayMs);
+        }
+    };
+
+    const schedule = (delivery, subscriber, notification, delayMs) => {
+        if (stopped) return;
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            const running = attempt(delivery, subscriber, notification);
+            inFlight.add(running);
+            running.finally(() => inFlight.delete(running));
+        }, delayMs);
+        timers.add(timer);
+    };
+
+    return {
+        /**
+         * Start delivering `notification` to `subscriber`. Returns the delivery
+         * record, updated in place as attempts are made.
+         */
+        deliver(notification, subscriber) {
+            const delivery = {
+                id: `dlv-${crypto.randomUUID()}`,
+                subscriberId: subscriber.id,
+                url: subscriber.url,
+                status: 'pending',
+                attempts: [],
+                nextAttemptAt: new Date().toISOString()
+            };
+            schedule(delivery, subscriber, notification, 0);
+            return delivery;
+        },
+
+        /**
+         * Cancel scheduled retries and wait for running attempts. Pending
+         * deliveries stay pending: the history is in memory only.
+         */
+        async stop() {
+            stopped = true;
+            for (const timer of timers) clearTimeout(timer);
+            timers.clear();
+            await Promise.allSettled([...inFlight]);
+        }
+    };
+}
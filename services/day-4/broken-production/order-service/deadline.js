@@ -0,0 +1,79 @@
+/* deadline.js */
+// Deadline propagation. A request carries the time it has left, in ms, in the
+// X-Deadline-Ms header. Each hop works out its own deadline from it when the
+// request arrives, and sends what is left of it with every call it makes, so
+// the budget shrinks by the time spent at each hop:
+//
+//   client ──▶ api-service ──(9800)──▶ order-service ──(9500)──▶ database-service
+//              deadline: now + 10000   now + 9800                now + 9500
+//
+// Calls are aborted when the deadline passes, and a hop with less than
+// DEADLINE_MIN_MS left answers 504 at once rather than start work nobody will
+// wait for. Without the header, a request gets REQUEST_DEADLINE_MS, which is
+// also the most a caller can ask for.
+// Only relative times are sent, so the hosts' clocks do not need to agree.
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+export const DEADLINE_HEADER = 'X-Deadline-Ms';
+
+const REQUEST_DEADLINE_MS = numberFromEnv('REQUEST_DEADLINE_MS', 10000);
+const DEADLINE_MIN_MS = numberFromEnv('DEADLINE_MIN_MS', 50);
+
+export class DeadlineExceededError extends Error {
+    constructor(message = 'Deadline exceeded') {
+        super(message);
+        this.name = 'DeadlineExceededError';
+    }
+}
+
+/**
+ * True for an error caused by running out of time: the deadline, or a
+ * fetch() aborted by its timeout.
+ */
+export const isDeadlineExceeded = (error) =>
+    error instanceof DeadlineExceededError || error?.name === 'TimeoutError';
+
+/**
+ * Middleware: sets req.deadline (epoch ms). `reject` answers a request that
+ * arrives with too little time left (504 by default).
+ */
+export function deadline({ reject = (req, res) => res.status(504).json({ error: 'Deadline exceeded' }) } = {}) {
+    return (req, res, next) => {
+        const header = req.get(DEADLINE_HEADER);
+        const budget = header !== undefined && Number.isFinite(Number(header))
+            ? Math.min(Number(header), REQUEST_DEADLINE_MS)
+            : REQUEST_DEADLINE_MS;
+        req.deadline = Date.now() + budget;
+
+        if (budget < DEADLINE_MIN_MS) return reject(req, res);
+        next();
+    };
+}
+
+/**
+ * Milliseconds left before req.deadline.
+ */
+export const remainingMs = (req) => req.deadline - Date.now();
+
+/**
+ * fetch() options for a call made while handling `req`: the time left is sent
+ * on, and the call is aborted when it runs out (or after `timeoutMs`, if that
+ * is sooner). Throws DeadlineExceededError when too little is left to try.
+ */
+export function withDeadline(req, { headers = {}, signal, timeoutMs = Infinity, ...options } = {}) {
+    const remaining = Math.floor(remainingMs(req));
+    if (!(remaining >= DEADLINE_MIN_MS)) {
+        throw new DeadlineExceededError(`Deadline exceeded: ${Math.max(remaining, 0)}ms left`);
+    }
+
+    const timeout = AbortSignal.timeout(Math.min(remaining, timeoutMs));
+    return {
+        ...options,
+        headers: { ...headers, [DEADLINE_HEADER]: String(remaining) },
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    };
+}
@@ -0,0 +1,38 @@
+/* lifecycle.js */
+// Order lifecycle. Every order starts as `created`; the only allowed moves are:
+//
+//   created ──▶ confirmed ──▶ shipped
+//      │            │
+//      └────────────┴──▶ cancelled
+//
+// shipped and cancelled are final. Each transition emits an `order_<status>`
+// notification (through the outbox) and is appended to the order's history.
+// Cancelling also releases the order's reservation, restocking what was
+// already confirmed (a `reservation_release` outbox message).
+
+export const ORDER_STATUSES = ['created', 'confirmed', 'shipped', 'cancelled'];
+
+export const INITIAL_STATUS = 'created';
+
+const TRANSITIONS = {
+    created: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: [],
+    cancelled: []
+};
+
+/**
+ * Statuses an order in `status` can move to.
+ */
+export function allowedTransitions(status) {
+    return TRANSITIONS[status] ?? [];
+}
+
+export function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Notification type emitted when an order enters `status`.
+ */
+export const eventFor = (status) => `order_${status}`;
@@ -0,0 +1,302 @@
+/* openapi.js */
+// The API of order-service, served at /openapi.json and /docs (see contract.js).
+// api-service calls it for clients; /sagas and /outbox are for operators.
+import { json } from './contract.js';
+import { ORDER_STATUSES } from './lifecycle.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const error = (description, schema = ref('Error')) => json(description, schema);
+
+const commonErrors = {
+    '5XX': error('Failure here or in database-service (its answer is passed on)'),
+    504: error('No answer before the request deadline (X-Deadline-Ms)')
+};
+
+const idParameter = (description) => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string' } });
+
+// 409 of a refused status change
+const transitionConflict = error('Not allowed from the current status', {
+    allOf: [ref('Error')],
+    required: ['currentStatus', 'allowed'],
+    properties: { currentStatus: { type: 'string' }, allowed: { type: 'array', items: { type: 'string' } } }
+});
+
+const orderResult = json('The updated order', {
+    type: 'object', required: ['success', 'order'], properties: { success: { const: true }, order: ref('Order') }
+});
+
+const outboxList = {
+    type: 'object',
+    required: ['messages', 'count'],
+    properties: {
+        messages: { type: 'array', items: ref('OutboxMessage') },
+        count: { type: 'integer' },
+        counts: { type: 'object', additionalProperties: { type: 'integer' } }
+    }
+};
+
+export const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'CloudMart order-service',
+        version: '1.0.0',
+        description: 'Creates orders (a saga: reserve stock, store, confirm) and moves them through their lifecycle. '
+            + 'Calls carry their deadline in X-Deadline-Ms.'
+    },
+    tags: [{ name: 'orders' }, { name: 'sagas' }, { name: 'outbox' }, { name: 'operations' }],
+    paths: {
+        '/health': {
+            get: {
+                tags: ['operations'],
+                summary: 'Liveness',
+                responses: {
+                    200: json('Alive', {
+                        type: 'object', required: ['status'], properties: { status: { const: 'healthy' }, service: { const: 'order-service' } }
+                    })
+                }
+            }
+        },
+        '/ready': {
+            get: {
+                tags: ['operations'],
+                summary: 'Readiness: 503 once shutdown has started',
+                responses: { 200: json('Ready', ref('Readiness')), 503: json('Shutting down', ref('Readiness')) }
+            }
+        },
+        '/orders': {
+            post: {
+                tags: ['orders'],
+                summary: 'Create an order',
+                description: 'Runs the create_order saga. The same Idempotency-Key returns the same order.',
+                parameters: [{ name: 'Idempotency-Key', in: 'header', schema: { type: 'string', minLength: 1, maxLength: 255 } }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['item'],
+                                properties: {
+                                    item: { type: 'string', minLength: 1 },
+                                    quantity: { type: 'integer', minimum: 1, default: 1 },
+                                    userId: { type: 'string', minLength: 1, description: 'Who places it (api-service sets it from the token)' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: json('Order created', {
+                        type: 'object',
+                        required: ['success', 'order'],
+                        properties: { success: { const: true }, order: ref('Order'), message: { type: 'string' } }
+                    }),
+                    400: error('Invalid item, quantity, userId or Idempotency-Key'),
+                    409: error('Not enough stock (sagaId tells which saga), or this Idempotency-Key is in progress'),
+                    422: error('Idempotency-Key already used with another order'),
+                    503: error('inventory-service unavailable'),
+                    ...commonErrors
+                }
+            },
+            get: {
+                tags: ['orders'],
+                summary: 'List orders (database-service\'s listing, next link rewritten)',
+                parameters: ['limit', 'cursor', 'item', 'status', 'userId', 'from', 'to', 'sort'].map(name => ({
+                    name, in: 'query', schema: name === 'limit' ? { type: 'integer' } : { type: 'string' }
+                })),
+                responses: {
+                    200: json('A page of orders', {
+                        type: 'object',
+                        required: ['orders', 'count'],
+                        properties: {
+                            orders: { type: 'array', items: ref('Order') },
+                            count: { type: 'integer' },
+                            total: { type: 'integer' },
+                            limit: { type: 'integer' },
+                            nextCursor: { type: ['string', 'null'] },
+                            next: { type: ['string', 'null'] }
+                        }
+                    }),
+                    400: error('Invalid query string'),
+                    ...commonErrors
+                }
+            }
+        },
+        '/orders/{id}': {
+            parameters: [idParameter('Order id')],
+            get: {
+                tags: ['orders'],
+                summary: 'Get an order with its status history',
+                responses: { 200: json('The order', ref('Order')), 404: error('No such order'), ...commonErrors }
+            },
+            patch: {
+                tags: ['orders'],
+                summary: 'Change an order\'s status',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                required: ['status'],
+                                properties: { status: { enum: ORDER_STATUSES }, reason: { type: 'string' } }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    200: orderResult,
+                    400: error('Unknown status'),
+                    404: error('No such order'),
+                    409: transitionConflict,
+                    ...commonErrors
+                }
+            }
+        },
+        '/orders/{id}/cancel': {
+            parameters: [idParameter('Order id')],
+            post: {
+                tags: ['orders'],
+                summary: 'Cancel an order',
+                requestBody: { content: { 'application/json': { schema: { type: 'object', properties: { reason: { type: 'string' } } } } } },
+                responses: { 200: orderResult, 404: error('No such order'), 409: transitionConflict, ...commonErrors }
+            }
+        },
+        '/sagas': {
+            get: {
+                tags: ['sagas'],
+                summary: 'Sagas, newest first',
+                parameters: [
+                    { name: 'status', in: 'query', schema: ref('SagaStatus') },
+                    { name: 'orderId', in: 'query', schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: json('Sagas', {
+                        type: 'object',
+                        required: ['sagas', 'count'],
+                        properties: { sagas: { type: 'array', items: ref('Saga') }, count: { type: 'integer' } }
+                    })
+                }
+            }
+        },
+        '/sagas/{id}': {
+            parameters: [idParameter('Saga id')],
+            get: {
+                tags: ['sagas'],
+                summary: 'A saga with the outcome of each step',
+                responses: { 200: json('The saga', ref('Saga')), 404: error('No such saga') }
+            }
+        },
+        '/outbox': {
+            get: {
+                tags: ['outbox'],
+                summary: 'Outbox messages, with the dispatcher\'s counters',
+                parameters: [{ name: 'status', in: 'query', schema: { enum: ['pending', 'delivered', 'dead'] } }],
+                responses: {
+                    200: json('Messages', {
+                        allOf: [outboxList],
+                        properties: {
+                            dispatcher: {
+                                type: 'object',
+                                properties: Object.fromEntries(['delivered', 'retried', 'deadLettered', 'pollErrors']
+                                    .map(name => [name, { type: 'integer' }]))
+                            }
+                        }
+                    }),
+                    ...commonErrors
+                }
+            }
+        },
+        '/outbox/dead-letters': {
+            get: {
+                tags: ['outbox'],
+                summary: 'Notifications that ran out of attempts',
+                responses: { 200: json('Dead-lettered messages', outboxList), ...commonErrors }
+            }
+        },
+        '/outbox/dead-letters/{id}/retry': {
+            parameters: [idParameter('Message id')],
+            post: {
+                tags: ['outbox'],
+                summary: 'Send a dead-lettered notification again',
+                responses: {
+                    200: json('The requeued message', ref('OutboxMessage')),
+                    404: error('No dead-lettered message with this id'),
+                    ...commonErrors
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' }, sagaId: { type: 'string' } } },
+            Readiness: { type: 'object', required: ['status'], properties: { status: { enum: ['ready', 'shutting_down'] } } },
+            Order: {
+                type: 'object',
+                required: ['id', 'item', 'quantity'],
+                properties: {
+                    id: { type: 'string' },
+                    item: { type: 'string' },
+                    quantity: { type: 'integer' },
+                    status: { enum: ORDER_STATUSES },
+                    reservationId: { type: 'string' },
+                    userId: { type: 'string', description: 'The user who placed it' },
+                    timestamp: { type: 'string', format: 'date-time' },
+                    storedAt: { type: 'string', format: 'date-time' },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    history: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['status', 'at'],
+                            properties: { status: { enum: ORDER_STATUSES }, at: { type: 'string' }, reason: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            SagaStatus: { enum: ['running', 'compensating', 'completed', 'compensated', 'failed'] },
+            Saga: {
+                type: 'object',
+                required: ['id', 'type', 'status', 'context', 'steps', 'startedAt'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    status: ref('SagaStatus'),
+                    context: { type: 'object' },
+                    currentStep: { type: ['string', 'null'] },
+                    error: { type: 'string' },
+                    startedAt: { type: 'string' },
+                    finishedAt: { type: 'string' },
+                    steps: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'status'],
+                            properties: {
+                                name: { type: 'string' },
+                                status: { enum: ['running', 'done', 'failed', 'compensated'] },
+                                attempts: { type: 'integer' },
+                                durationMs: { type: 'integer' },
+                                error: { type: 'string' },
+                                compensationError: { type: 'string' },
+                                startedAt: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            OutboxMessage: {
+                type: 'object',
+                required: ['id', 'type', 'status', 'attempts'],
+                properties: {
+                    id: { type: 'string' },
+                    type: { type: 'string' },
+                    status: { enum: ['pending', 'delivered', 'dead'] },
+                    attempts: { type: 'integer' },
+                    lastError: { type: ['string', 'null'] }
+                }
+            }
+        }
+    }
+};
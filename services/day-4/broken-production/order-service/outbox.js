@@ -0,0 +1,144 @@
+/* outbox.js */
+// Transactional outbox dispatcher. POST /orders asks database-service to record
+// the `order_created` notification in the same write as the order, so an order
+// can never exist without its notification (or the other way round). This
+// dispatcher polls database-service for due messages and delivers them:
+//   - a failed delivery is retried later, with exponential backoff and jitter
+//   - after OUTBOX_MAX_ATTEMPTS it is dead-lettered (status "dead") and kept
+//     for inspection, see GET /outbox/dead-letters
+// Delivery is at-least-once: a message sent just before a crash is sent again.
+// Each one carries its id as Idempotency-Key so the receiver can drop repeats.
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+const OUTBOX_POLL_INTERVAL_MS = numberFromEnv('OUTBOX_POLL_INTERVAL_MS', 1000);
+const OUTBOX_BATCH_SIZE = numberFromEnv('OUTBOX_BATCH_SIZE', 10);
+const OUTBOX_MAX_ATTEMPTS = numberFromEnv('OUTBOX_MAX_ATTEMPTS', 8);
+const OUTBOX_BACKOFF_BASE_MS = numberFromEnv('OUTBOX_BACKOFF_BASE_MS', 1000);
+const OUTBOX_BACKOFF_MAX_MS = numberFromEnv('OUTBOX_BACKOFF_MAX_MS', 60000);
+const OUTBOX_DELIVERY_TIMEOUT_MS = numberFromEnv('OUTBOX_DELIVERY_TIMEOUT_MS', 5000);
+// A claimed message is invisible to other replicas for this long
+const OUTBOX_LEASE_MS = numberFromEnv('OUTBOX_LEASE_MS', 30000);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay before attempt `attempts + 1`: "full jitter" exponential backoff, a
+ * random value between 0 and min(max, base * 2^attempts).
+ */
+export function backoffDelay(attempts, { baseMs = OUTBOX_BACKOFF_BASE_MS, maxMs = OUTBOX_BACKOFF_MAX_MS } = {}) {
+    return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempts));
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs = OUTBOX_DELIVERY_TIMEOUT_MS } = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Create the dispatcher. `destinations` maps a message type to the URL its
+ * payload is POSTed to, e.g. { order_created: 'http://notification-service:3000/notify' },
+ * or to a function of the payload returning the { url, body } to POST.
+ */
+export function createOutboxDispatcher({ databaseUrl, destinations, logger }) {
+    const stats = { delivered: 0, retried: 0, deadLettered: 0, pollErrors: 0 };
+    let running = false;
+    let loop = null;
+
+    const deliver = async (message) => {
+        const destination = destinations[message.type];
+        try {
+            if (!destination) throw new Error(`No destination for message type ${message.type}`);
+            const { url, body } = typeof destination === 'function'
+                ? destination(message.payload)
+                : { url: destination, body: message.payload };
+            await postJson(url, body, { headers: { 'Idempotency-Key': message.id } });
+
+            await postJson(`${databaseUrl}/outbox/${message.id}/result`, { delivered: true });
+            stats.delivered++;
+            logger.info('Outbox message delivered', { messageId: message.id, type: message.type, attempts: message.attempts + 1 });
+        } catch (error) {
+            const attempts = message.attempts + 1;
+            const retryAt = attempts < OUTBOX_MAX_ATTEMPTS ? Date.now() + backoffDelay(attempts) : null;
+
+            // If this fails too, the lease expires and the message is simply claimed again
+            // fetch() hides the network error (ECONNREFUSED, ENOTFOUND...) in `cause`
+            const reason = error.cause?.message ?? error.message;
+            await postJson(`${databaseUrl}/outbox/${message.id}/result`, { delivered: false, error: reason, retryAt })
+                .catch(resultError => logger.error('Failed to record outbox delivery attempt', { messageId: message.id, error: resultError }));
+
+            if (retryAt) {
+                stats.retried++;
+                logger.warn('Outbox delivery failed, will retry', {
+                    messageId: message.id, type: message.type, attempts, retryInMs: retryAt - Date.now(), error
+                });
+            } else {
+                stats.deadLettered++;
+                logger.error('Outbox delivery failed, dead-lettered', { messageId: message.id, type: message.type, attempts, error });
+            }
+        }
+    };
+
+    const poll = async () => {
+        const { messages } = await postJson(`${databaseUrl}/outbox/claim`, {
+            limit: OUTBOX_BATCH_SIZE,
+            leaseMs: OUTBOX_LEASE_MS
+        });
+        // In order, one at a time: notifications keep the order they were created in
+        for (const message of messages) {
+            await deliver(message);
+        }
+        return messages.length;
+    };
+
+    const run = async () => {
+        while (running) {
+            let claimed = 0;
+            try {
+                claimed = await poll();
+            } catch (error) {
+                stats.pollErrors++;
+                logger.warn('Outbox poll failed', { error });
+            }
+            // A full batch means there is probably more waiting
+            if (running && claimed < OUTBOX_BATCH_SIZE) await sleep(OUTBOX_POLL_INTERVAL_MS);
+        }
+    };
+
+    return {
+        start() {
+            if (running) return;
+            running = true;
+            loop = run();
+            logger.info('Outbox dispatcher started', {
+                pollIntervalMs: OUTBOX_POLL_INTERVAL_MS,
+                maxAttempts: OUTBOX_MAX_ATTEMPTS,
+                destinations: Object.fromEntries(Object.entries(destinations)
+                    .map(([type, destination]) => [type, typeof destination === 'function' ? 'computed' : destination]))
+            });
+        },
+
+        /**
+         * Stop polling and wait for the current batch to finish.
+         */
+        async stop() {
+            running = false;
+            await loop;
+        },
+
+        stats() {
+            return { running, ...stats };
+        }
+    };
+}
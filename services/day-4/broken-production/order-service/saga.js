@@ -0,0 +1,143 @@
+/* saga.js */
+// Sagas: a sequence of steps across services, with no transaction to hold them
+// together. When a step fails, the steps already done are undone in reverse
+// order by their `compensate`. Creating an order is:
+//
+//   reserve stock ──▶ store order ──▶ confirm reservation
+//   (inventory)       (database)      (inventory)
+//        ▲                 │ fails or times out
+//        └── release ◀─────┘
+//
+// A step marked `pivot` is the point of no return: once it succeeded, later
+// steps are retried (`attempts`) but never compensated. If they still fail the
+// saga ends up `failed`, for an operator to look at.
+//
+// Every saga is kept in memory (the last SAGA_HISTORY_SIZE of them) with the
+// outcome of each step, see GET /sagas.
+import crypto from 'crypto';
+
+import { backoffDelay } from './outbox.js';
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+const SAGA_HISTORY_SIZE = numberFromEnv('SAGA_HISTORY_SIZE', 1000);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// fetch() hides the network error (ECONNREFUSED, ENOTFOUND...) in `cause`
+const reasonOf = (error) => error.cause?.message ?? error.message;
+
+export function createSagaLog({ maxEntries = SAGA_HISTORY_SIZE } = {}) {
+    const sagas = new Map();
+
+    return {
+        /**
+         * Record a new saga. `context` is whatever helps debugging it (order id, item...).
+         */
+        start(type, context = {}) {
+            const saga = {
+                id: `saga-${crypto.randomUUID()}`,
+                type,
+                status: 'running',
+                context,
+                steps: [],
+                startedAt: new Date().toISOString()
+            };
+            sagas.set(saga.id, saga);
+            // Maps iterate in insertion order: the first key is the oldest saga
+            if (sagas.size > maxEntries) sagas.delete(sagas.keys().next().value);
+            return saga;
+        },
+
+        get: (id) => sagas.get(id),
+
+        list({ status, orderId } = {}) {
+            return [...sagas.values()]
+                .filter(saga => (!status || saga.status === status) && (!orderId || saga.context.orderId === orderId))
+                .reverse();
+        }
+    };
+}
+
+async function runStep(step, saga, record) {
+    const attempts = step.attempts ?? 1;
+    for (let attempt = 1; ; attempt++) {
+        record.attempts = attempt;
+        try {
+            return await step.run(saga);
+        } catch (error) {
+            if (attempt >= attempts || error.retryable === false) throw error;
+            await sleep(backoffDelay(attempt, { baseMs: 200, maxMs: 2000 }));
+        }
+    }
+}
+
+/**
+ * Run `steps` ({ name, run, compensate, pivot, attempts }) for `saga`. Each
+ * `run` gets the saga and returns a result that is passed to its `compensate`.
+ * Resolves when every step succeeded; otherwise compensates and rethrows the
+ * error of the failed step (the last one in saga.steps).
+ */
+export async function runSaga(saga, steps, { logger }) {
+    const done = [];
+
+    for (const step of steps) {
+        const record = { name: step.name, status: 'running', startedAt: new Date().toISOString() };
+        const start = performance.now();
+        saga.steps.push(record);
+        saga.currentStep = step.name;
+
+        try {
+            const result = await runStep(step, saga, record);
+            record.status = 'done';
+            record.durationMs = Math.round(performance.now() - start);
+            done.push({ step, record, result });
+        } catch (error) {
+            record.status = 'failed';
+            record.durationMs = Math.round(performance.now() - start);
+            record.error = reasonOf(error);
+            saga.error = `${step.name}: ${record.error}`;
+
+            if (done.some(({ step: previous }) => previous.pivot)) {
+                saga.status = 'failed';
+                saga.finishedAt = new Date().toISOString();
+                logger.error('Saga failed after its point of no return', { sagaId: saga.id, step: step.name, error });
+                throw error;
+            }
+
+            logger.warn('Saga step failed', { sagaId: saga.id, step: step.name, compensating: done.length, error });
+            await compensate(saga, done, { logger });
+            throw error;
+        }
+    }
+
+    saga.status = 'completed';
+    saga.currentStep = null;
+    saga.finishedAt = new Date().toISOString();
+}
+
+async function compensate(saga, done, { logger }) {
+    saga.status = 'compensating';
+    let complete = true;
+
+    for (const { step, record, result } of done.reverse()) {
+        if (!step.compensate) continue;
+        saga.currentStep = step.name;
+        try {
+            await step.compensate(result, saga);
+            record.status = 'compensated';
+        } catch (error) {
+            // Nothing else undoes it: the saga stays failed for an operator to fix
+            complete = false;
+            record.compensationError = reasonOf(error);
+            logger.error('Saga compensation failed', { sagaId: saga.id, step: step.name, error });
+        }
+    }
+
+    saga.status = complete ? 'compensated' : 'failed';
+    saga.currentStep = null;
+    saga.finishedAt = new Date().toISOString();
+}
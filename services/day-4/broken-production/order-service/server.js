@@ -1,17 +1,48 @@
+import crypto from 'crypto';
 import express from 'express';
 
+import { serveContract } from './contract.js';
+import { DeadlineExceededError, deadline, isDeadlineExceeded, withDeadline } from './deadline.js';
+import { IDEMPOTENCY_HEADER, REPLAYED_HEADER, idempotency } from './idempotency.js';
+import { INITIAL_STATUS, ORDER_STATUSES, allowedTransitions, canTransition, eventFor } from './lifecycle.js';
+import { createLogger } from './logger.js';
+import { document } from './openapi.js';
+import { createOutboxDispatcher } from './outbox.js';
+import { createSagaLog, runSaga } from './saga.js';
+import { handleShutdown, onShutdown, readinessProbe, trackInFlight } from './shutdown.js';
+
 const app = express();
+app.use(trackInFlight);
+const logger = createLogger({ service: 'order-service' });
 const PORT = process.env.PORT || 3000;
 const DATABASE_URL = process.env.DATABASE_URL || 'http://database-service:8080';
 const NOTIFICATION_URL = process.env.NOTIFICATION_URL || 'http://notification-service:3000';
+const INVENTORY_URL = process.env.INVENTORY_URL || 'http://inventory-service:3000';
+const INVENTORY_TIMEOUT_MS = parseInt(process.env.INVENTORY_TIMEOUT_MS || '5000', 10);
+// Outbox message releasing a cancelled order's reservation in inventory-service
+const RELEASE_RESERVATION = 'reservation_release';
+// BUG: 0 (the default) retries the database at once. Above 0, the wait
+// before retry n is RETRY_BACKOFF_MS * 2^(n-1) (run-local.mjs sets it when
+// its "no-backoff" bug is off)
+const RETRY_BACKOFF_MS = parseInt(process.env.RETRY_BACKOFF_MS || '0', 10);
+// Budget of the saga's database write, retries included
+const SAGA_STORE_TIMEOUT_MS = parseInt(process.env.SAGA_STORE_TIMEOUT_MS || '10000', 10);
 
 app.use(express.json());
+// /openapi.json, /docs, and the contract check (CONTRACT_CHECK=true)
+serveContract(app, document, { logger: logger.child({ component: 'contract' }) });
+app.use(deadline());
+
+const sagas = createSagaLog();
 
 // Health endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'order-service' });
 });
 
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
 // BUG: Aggressive retry without backoff
 async function fetchWithRetry(url, options, maxRetries = 3) {
     for (let i = 0; i < maxRetries; i++) {
@@ -21,59 +52,153 @@ async function fetchWithRetry(url, options, maxRetries = 3) {
                 return response;
             }
             // BUG: No backoff! Retries immediately
-            console.log(`Retry ${i + 1}/${maxRetries} for ${url}`);
+            logger.warn(`Retry ${i + 1}/${maxRetries} for ${url}`, { status: response.status });
         } catch (error) {
-            console.error(`Attempt ${i + 1} failed:`, error.message);
+            logger.error(`Attempt ${i + 1} failed`, { url, error });
             // BUG: No delay between retries - hammers the service
         }
+        if (RETRY_BACKOFF_MS > 0 && i < maxRetries - 1) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_BACKOFF_MS * 2 ** i));
+        }
     }
     throw new Error(`Failed after ${maxRetries} retries`);
 }
 
-// Create order endpoint
-app.post('/orders', async (req, res) => {
+// Call inventory-service, within the deadline of `req` when given. Its 4xx
+// answers (no stock, unknown reservation) are final: the saga does not retry them.
+async function callInventory(path, body, { req } = {}) {
+    const request = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+    const response = await fetch(`${INVENTORY_URL}${path}`, req
+        ? withDeadline(req, { ...request, timeoutMs: INVENTORY_TIMEOUT_MS })
+        // Compensations and steps past the point of no return finish even
+        // when the client is no longer waiting
+        : { ...request, signal: AbortSignal.timeout(INVENTORY_TIMEOUT_MS) });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error ?? `inventory-service answered ${response.status}`);
+        error.status = response.status;
+        error.retryable = response.status >= 500;
+        throw error;
+    }
+    return data;
+}
+
+// Create order endpoint. A request repeating an Idempotency-Key gets the
+// original response back (see idempotency.js). The order is created by a
+// saga (see saga.js): reserve the stock, store the order, confirm the
+// reservation; if the order cannot be stored, the reservation is released.
+const orderIdempotency = idempotency({ logger: logger.child({ component: 'idempotency' }) });
+
+app.post('/orders', orderIdempotency, async (req, res) => {
     try {
-        const orderData = {
+        // One key per order, even when the client sent none: the database
+        // dedupes on it, so the retries below can never store the order twice
+        const idempotencyKey = req.get(IDEMPOTENCY_HEADER) ?? crypto.randomUUID();
+
+        // userId: who placed the order, set by api-service from the caller's token
+        const { item, quantity = 1, userId } = req.body ?? {};
+        if (typeof item !== 'string' || item.trim() === '') {
+            return res.status(400).json({ error: 'item must be a non-empty string' });
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({ error: 'quantity must be a positive integer' });
+        }
+        if (userId !== undefined && (typeof userId !== 'string' || userId === '')) {
+            return res.status(400).json({ error: 'userId must be a non-empty string' });
+        }
+
+        let orderData = {
             id: `order-${Date.now()}-${Math.random().toString(36).substring(7)}`,
-            item: req.body.item || 'unknown',
-            quantity: req.body.quantity || 1,
+            item,
+            quantity,
+            ...(userId && { userId }),
+            status: INITIAL_STATUS,
             timestamp: new Date().toISOString()
         };
 
-        console.log('Creating order:', orderData);
+        logger.info('Creating order', { order: orderData, idempotencyKey });
+
+        const saga = sagas.start('create_order', { orderId: orderData.id, item, quantity, idempotencyKey });
+        let reservation;
 
-        // Step 1: Save to database (will fail due to wrong URL)
         try {
-            const dbResponse = await fetchWithRetry(`${DATABASE_URL}/store`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(orderData)
-            });
+            await runSaga(saga, [
+                {
+                    // The key is the reference: a retried request gets the same reservation
+                    name: 'reserve',
+                    run: async () => {
+                        ({ reservation } = await callInventory('/reservations', { item, quantity, reference: idempotencyKey }, { req }));
+                        orderData.reservationId = reservation.id;
+                        saga.context.reservationId = reservation.id;
+                        return reservation;
+                    },
+                    compensate: (held) => callInventory(`/reservations/${held.id}/release`, { reason: `saga ${saga.id} compensated` })
+                },
+                {
+                    // Save to database (will fail due to wrong URL), together with the
+                    // notification to send: outbox.js delivers it in the background
+                    name: 'store',
+                    pivot: true,
+                    run: async () => {
+                        const options = withDeadline(req, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json', [IDEMPOTENCY_HEADER]: idempotencyKey },
+                            body: JSON.stringify({ ...orderData, outbox: [{ type: eventFor(INITIAL_STATUS) }] }),
+                            // For all the attempts together: a timed-out write is compensated too
+                            timeoutMs: SAGA_STORE_TIMEOUT_MS
+                        });
+                        const dbResponse = await fetchWithRetry(`${DATABASE_URL}/store`, options).catch(error => {
+                            throw options.signal.aborted ? new DeadlineExceededError('Timed out storing the order') : error;
+                        });
 
-            const dbData = await dbResponse.json();
-            console.log('Order saved to database:', dbData);
+                        const dbData = await dbResponse.json();
+                        if (dbResponse.headers.get(REPLAYED_HEADER) === 'true') {
+                            // Already stored by an earlier attempt (another replica, or before a
+                            // restart): answer with that order rather than the one built above
+                            orderData = dbData.order;
+                            saga.context.orderId = orderData.id;
+                            logger.info('Order already stored, using the stored copy', { orderId: orderData.id, idempotencyKey });
+                        } else {
+                            logger.info('Order saved to database', { result: dbData });
+                        }
+                    }
+                },
+                {
+                    name: 'confirm',
+                    attempts: 3,
+                    run: () => callInventory(`/reservations/${reservation.id}/confirm`, { orderId: orderData.id })
+                }
+            ], { logger: logger.child({ component: 'saga' }) });
         } catch (error) {
-            console.error('Database save failed:', error.message);
-            return res.status(500).json({
-                error: 'Failed to save order to database',
-                details: error.message
-            });
-        }
+            const failedStep = saga.steps.at(-1).name;
 
-        // Step 2: Send notification
-        try {
-            await fetchWithRetry(`${NOTIFICATION_URL}/notify`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    type: 'order_created',
-                    order: orderData
-                })
-            });
-            console.log('Notification sent');
-        } catch (error) {
-            console.error('Notification failed (non-critical):', error.message);
-            // Continue even if notification fails
+            if (failedStep === 'reserve') {
+                logger.warn('Stock reservation failed', { sagaId: saga.id, item, quantity, error });
+                if (error.status === 400 || error.status === 409) {
+                    return res.status(error.status).json({ error: error.message, sagaId: saga.id });
+                }
+                if (isDeadlineExceeded(error)) {
+                    return res.status(504).json({ error: 'Deadline exceeded reserving stock', sagaId: saga.id });
+                }
+                return res.status(503).json({ error: 'Inventory service unavailable', sagaId: saga.id });
+            }
+            if (failedStep === 'store') {
+                logger.error('Database save failed', { sagaId: saga.id, error });
+                if (isDeadlineExceeded(error)) {
+                    return res.status(504).json({ error: 'Deadline exceeded saving order to database', sagaId: saga.id });
+                }
+                return res.status(500).json({
+                    error: 'Failed to save order to database',
+                    details: error.message,
+                    sagaId: saga.id
+                });
+            }
+            // The order is stored: the client gets it, the failed saga is left for an operator
+            logger.error('Order stored but its reservation was not confirmed', { sagaId: saga.id, orderId: orderData.id, error });
         }
 
         res.json({
@@ -83,7 +208,7 @@ app.post('/orders', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Order creation error:', error.message);
+        logger.error('Order creation error', { error });
         res.status(500).json({
             error: 'Failed to create order',
             message: error.message
@@ -91,27 +216,187 @@ app.post('/orders', async (req, res) => {
     }
 });
 
-// Get all orders endpoint
+// Sagas, newest first, optionally by status
+// (?status=running|completed|compensated|failed) or order (?orderId=)
+app.get('/sagas', (req, res) => {
+    const list = sagas.list({ status: req.query.status, orderId: req.query.orderId });
+    res.json({ sagas: list, count: list.length });
+});
+
+app.get('/sagas/:id', (req, res) => {
+    const saga = sagas.get(req.params.id);
+    if (!saga) {
+        return res.status(404).json({ error: 'Saga not found' });
+    }
+    res.json(saga);
+});
+
+// List orders. The query string (limit, cursor, item, status, userId, from, to, sort)
+// goes to database-service as is; the `next` link is rewritten to point here.
 app.get('/orders', async (req, res) => {
     try {
-        const response = await fetch(`${DATABASE_URL}/orders`);
+        const search = new URL(req.originalUrl, 'http://localhost').search;
+        const response = await fetch(`${DATABASE_URL}/orders${search}`, withDeadline(req));
         const data = await response.json();
-        res.json(data);
+        if (data.nextCursor) {
+            const params = new URLSearchParams(search);
+            params.set('cursor', data.nextCursor);
+            data.next = `/orders?${params}`;
+            res.links({ next: data.next });
+        }
+        res.status(response.status).json(data);
     } catch (error) {
-        console.error('Failed to fetch orders:', error.message);
-        res.status(500).json({
+        logger.error('Failed to fetch orders', { error });
+        res.status(isDeadlineExceeded(error) ? 504 : 500).json({
             error: 'Failed to fetch orders',
             orders: []
         });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(JSON.stringify({
-        msg: 'Order Service started',
+// Get one order, with its status history
+app.get('/orders/:id', async (req, res) => {
+    try {
+        const response = await fetch(`${DATABASE_URL}/orders/${encodeURIComponent(req.params.id)}`, withDeadline(req));
+        const data = await response.json();
+        res.status(response.status).json(data);
+    } catch (error) {
+        logger.error('Failed to fetch order', { orderId: req.params.id, error });
+        res.status(isDeadlineExceeded(error) ? 504 : 500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// Move an order to `to` if lifecycle.js allows it from its current status
+async function changeStatus(req, res, to) {
+    const orderId = req.params.id;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason : undefined;
+
+    if (!ORDER_STATUSES.includes(to)) {
+        return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const current = await fetch(`${DATABASE_URL}/orders/${encodeURIComponent(orderId)}`, withDeadline(req));
+        if (current.status === 404) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        if (!current.ok) {
+            throw new Error(`database-service answered ${current.status}`);
+        }
+        const order = await current.json();
+        const from = order.status ?? INITIAL_STATUS;
+
+        if (!canTransition(from, to)) {
+            logger.warn('Invalid order transition', { orderId, from, to });
+            return res.status(409).json({
+                error: `Cannot change order from ${from} to ${to}`,
+                currentStatus: from,
+                allowed: allowedTransitions(from)
+            });
+        }
+
+        // The database only applies it if the status is still `from`, and
+        // records the notification in the same write. A cancelled order gives
+        // its stock back the same way, so the release cannot be lost.
+        const outboxMessages = [{ type: eventFor(to) }];
+        if (to === 'cancelled' && order.reservationId) outboxMessages.push({ type: RELEASE_RESERVATION });
+        const response = await fetch(`${DATABASE_URL}/orders/${encodeURIComponent(orderId)}/transition`, withDeadline(req, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ from, to, reason, outbox: outboxMessages })
+        }));
+        const data = await response.json();
+
+        if (response.status === 409) {
+            logger.warn('Order changed concurrently', { orderId, from, to, currentStatus: data.currentStatus });
+            return res.status(409).json({
+                error: `Order was changed to ${data.currentStatus} in the meantime`,
+                currentStatus: data.currentStatus,
+                allowed: allowedTransitions(data.currentStatus)
+            });
+        }
+        if (!response.ok) {
+            throw new Error(`database-service answered ${response.status}`);
+        }
+
+        logger.info(`Order ${orderId}: ${from} -> ${to}`, { orderId, from, to, reason });
+        res.json({ success: true, order: data.order });
+    } catch (error) {
+        logger.error('Order status change failed', { orderId, to, error });
+        if (isDeadlineExceeded(error)) {
+            return res.status(504).json({ error: 'Deadline exceeded updating order' });
+        }
+        res.status(500).json({ error: 'Failed to update order', message: error.message });
+    }
+}
+
+// Change an order's status, e.g. { "status": "confirmed" }
+app.patch('/orders/:id', (req, res) => changeStatus(req, res, req.body?.status));
+
+app.post('/orders/:id/cancel', (req, res) => changeStatus(req, res, 'cancelled'));
+
+// Outbox: all messages, or only one status (?status=pending|delivered|dead)
+app.get('/outbox', async (req, res) => {
+    try {
+        const query = req.query.status ? `?status=${encodeURIComponent(req.query.status)}` : '';
+        const response = await fetch(`${DATABASE_URL}/outbox${query}`, withDeadline(req));
+        const data = await response.json();
+        res.status(response.status).json({ ...data, dispatcher: outbox.stats() });
+    } catch (error) {
+        logger.error('Failed to fetch outbox', { error });
+        res.status(isDeadlineExceeded(error) ? 504 : 502).json({ error: 'Failed to fetch outbox' });
+    }
+});
+
+// Notifications that ran out of attempts
+app.get('/outbox/dead-letters', async (req, res) => {
+    try {
+        const response = await fetch(`${DATABASE_URL}/outbox?status=dead`, withDeadline(req));
+        const data = await response.json();
+        res.status(response.status).json(data);
+    } catch (error) {
+        logger.error('Failed to fetch dead letters', { error });
+        res.status(isDeadlineExceeded(error) ? 504 : 502).json({ error: 'Failed to fetch dead letters' });
+    }
+});
+
+// Send a dead-lettered notification again (once notification-service is fixed)
+app.post('/outbox/dead-letters/:id/retry', async (req, res) => {
+    try {
+        const response = await fetch(`${DATABASE_URL}/outbox/${encodeURIComponent(req.params.id)}/retry`, withDeadline(req, { method: 'POST' }));
+        const data = await response.json();
+        res.status(response.status).json(data);
+    } catch (error) {
+        logger.error('Failed to requeue dead letter', { messageId: req.params.id, error });
+        res.status(isDeadlineExceeded(error) ? 504 : 502).json({ error: 'Failed to requeue dead letter' });
+    }
+});
+
+const outbox = createOutboxDispatcher({
+    databaseUrl: DATABASE_URL,
+    // One notification per lifecycle transition, and the stock of cancelled orders
+    destinations: {
+        ...Object.fromEntries(ORDER_STATUSES.map(status => [eventFor(status), `${NOTIFICATION_URL}/notify`])),
+        [RELEASE_RESERVATION]: ({ order }) => ({
+            url: `${INVENTORY_URL}/reservations/${encodeURIComponent(order.reservationId)}/release`,
+            body: { reason: `order ${order.id} cancelled` }
+        })
+    },
+    logger: logger.child({ component: 'outbox' })
+});
+
+// Let the current batch finish before exiting
+onShutdown('outbox', () => outbox.stop());
+
+const server = app.listen(PORT, () => {
+    logger.info('Order Service started', {
         port: PORT,
         databaseUrl: DATABASE_URL,
         notificationUrl: NOTIFICATION_URL,
+        inventoryUrl: INVENTORY_URL,
         warning: 'Retry logic has no backoff!'
-    }));
+    });
+    outbox.start();
 });
+
+handleShutdown(server, { logger: logger.child({ component: 'shutdown' }) });
@@ -0,0 +1,442 @@
+#!/usr/bin/env node
+/* run-local.mjs */
+// Run the broken-production CloudMart stack as local processes, no cluster needed:
+//   node run-local.mjs                                   # no bugs, then the smoke test
+//   node run-local.mjs --bug wrong-db-url --bug no-backoff
+//   node run-local.mjs --all-bugs --keep-running
+//   node run-local.mjs --list-bugs
+// Every service gets a free port, and DATABASE_URL and the *_URL variables are
+// wired between them. The smoke test then walks an order through every hop and
+// reports which ones fail (exit code 1 if any does). The services also check
+// every request and response against their OpenAPI document (CONTRACT_CHECK,
+// see contract.js): any mismatch fails the run too. Without bugs, the contract
+// tests (contract-tests.mjs) then call every documented operation until each
+// has answered every status code it documents, and stop the stack. Each
+// service logs to its own file in --log-dir.
+// Only the code and configuration bugs can be toggled here: the Kubernetes ones
+// (probe port, gateway selector, image tag, memory limit) need the cluster.
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import { existsSync, mkdirSync, mkdtempSync, openSync } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+import { runContractTests } from './contract-tests.mjs';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const BUGS = {
+    'wrong-db-url': 'order-service calls http://database:8080, a host that does not exist (05-order-service.yaml)',
+    'missing-db-name': 'database-service starts without DB_NAME and exits (06-database-service.yaml)',
+    'memory-leak': 'auth-service keeps 100KB per validated token (AUTH_MEMORY_LEAK), in a 64MB heap like its 64Mi limit',
+    'no-backoff': 'order-service retries the database without waiting (RETRY_BACKOFF_MS=0)',
+    'chaos': 'database-service fails half the reads and writes (CHAOS_FAILURE_RATE=0.5)'
+};
+
+// In start order: a service only calls the ones above it
+const SERVICES = [
+    {
+        name: 'database-service',
+        env: ({ bugs }) => ({
+            ...(!bugs.has('missing-db-name') && { DB_NAME: 'cloudmart' }),
+            CHAOS_ADMIN_TOKEN: CHAOS_TOKEN,
+            ...(bugs.has('chaos') && { CHAOS_FAILURE_RATE: '0.5' })
+        })
+    },
+    {
+        name: 'notification-service',
+        env: () => ({ SUBSCRIBERS_ADMIN_TOKEN: SUBSCRIBERS_TOKEN, WEBHOOK_ALLOWED_HOSTS: '127.0.0.1' })
+    },
+    {
+        name: 'auth-service',
+        env: ({ bugs }) => ({
+            AUTH_MEMORY_LEAK: String(bugs.has('memory-leak')),
+            ...(bugs.has('memory-leak') && { NODE_OPTIONS: '--max-old-space-size=64' })
+        })
+    },
+    { name: 'inventory-service', env: () => ({}) },
+    {
+        name: 'order-service',
+        env: ({ bugs, urls }) => ({
+            DATABASE_URL: bugs.has('wrong-db-url') ? 'http://database:8080' : urls['database-service'],
+            NOTIFICATION_URL: urls['notification-service'],
+            INVENTORY_URL: urls['inventory-service'],
+            RETRY_BACKOFF_MS: bugs.has('no-backoff') ? '0' : '200'
+        })
+    },
+    {
+        name: 'api-service',
+        env: ({ urls }) => ({
+            AUTH_SERVICE_URL: urls['auth-service'],
+            ORDER_SERVICE_URL: urls['order-service']
+        })
+    }
+];
+
+// Let the contract tests change database-service's chaos configuration and
+// notification-service's subscribers
+const CHAOS_TOKEN = crypto.randomBytes(16).toString('hex');
+const SUBSCRIBERS_TOKEN = crypto.randomBytes(16).toString('hex');
+
+// The demo client auth-service knows by default (see AUTH_CLIENTS)
+const CLIENT = { client_id: 'cloudmart-web', client_secret: 'cloudmart-dev-secret' };
+
+const HEALTH_TIMEOUT_MS = 15000;
+const NOTIFICATION_TIMEOUT_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// JSON in, { status, body } out. Network errors are thrown with their cause
+async function request(method, url, { body, headers = {}, timeoutMs = 10000 } = {}) {
+    try {
+        const response = await fetch(url, {
+            method,
+            headers: { ...(body && { 'Content-Type': 'application/json' }), ...headers },
+            body: body && JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        return { status: response.status, body: await response.json().catch(() => null) };
+    } catch (error) {
+        // fetch() hides the network error (ECONNREFUSED, ENOTFOUND...) in `cause`
+        throw new Error(error.cause?.message ?? error.message);
+    }
+}
+
+// `instance` names the log file of a second instance of the same service
+function start(service, { port, env, logDir, instance }) {
+    const logFile = path.join(logDir, `${service.name}${instance ? `-${instance}` : ''}.log`);
+    const log = openSync(logFile, 'a');
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(ROOT, service.name),
+        // No need to wait for kube-proxy when stopping
+        env: { ...process.env, PORT: String(port), SHUTDOWN_DELAY_MS: '0', CONTRACT_CHECK: 'true', ...env },
+        stdio: ['ignore', log, log]
+    });
+    const running = { ...service, port, url: `http://127.0.0.1:${port}`, logFile, child, exitCode: null };
+    child.on('exit', (code, signal) => { running.exitCode = code ?? signal; });
+    return running;
+}
+
+// healthy, crashed (the process exited) or unresponsive
+async function waitHealthy(service) {
+    const deadline = Date.now() + HEALTH_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (service.exitCode !== null) return 'crashed';
+        try {
+            if ((await request('GET', `${service.url}/health`, { timeoutMs: 1000 })).status === 200) return 'healthy';
+        } catch {
+            // not listening yet
+        }
+        await sleep(200);
+    }
+    return 'unresponsive';
+}
+
+async function stopAll(services) {
+    await Promise.all(services.map(async ({ child, exitCode }) => {
+        if (exitCode !== null) return;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill('SIGTERM');
+        const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+        await exited;
+        clearTimeout(timer);
+    }));
+}
+
+/**
+ * Create an order through api-service, follow it to every service it should
+ * reach, and return one result per hop: { hop, status: ok|fail|skip, detail }.
+ */
+async function smokeTest(urls) {
+    const results = [];
+    const record = (hop, status, detail) => results.push({ hop, status, detail });
+    const hops = {
+        token: 'client → auth-service (issue a token)',
+        auth: 'api-service → auth-service',
+        order: 'api-service → order-service',
+        inventory: 'order-service → inventory-service',
+        database: 'order-service → database-service',
+        notification: 'order-service → notification-service (outbox)'
+    };
+    const skipFrom = (keys, reason) => keys.forEach(key => record(hops[key], 'skip', reason));
+
+    let token;
+    try {
+        const { status, body } = await request('POST', `${urls['auth-service']}/auth/token`, {
+            body: { ...CLIENT, sub: 'smoke-test', scope: 'orders:read orders:write' }
+        });
+        if (status !== 200) throw new Error(`HTTP ${status}: ${body?.error ?? 'no token'}`);
+        token = body.access_token;
+        record(hops.token, 'ok', 'token issued');
+    } catch (error) {
+        record(hops.token, 'fail', error.message);
+        skipFrom(['auth', 'order', 'inventory', 'database', 'notification'], 'no token');
+        return results;
+    }
+
+    const idempotencyKey = `smoke-${crypto.randomUUID()}`;
+    let created;
+    try {
+        created = await request('POST', `${urls['api-service']}/api/orders`, {
+            headers: { Authorization: `Bearer ${token}`, 'Idempotency-Key': idempotencyKey },
+            body: { item: 'smoke-test-item', quantity: 1 }
+        });
+    } catch (error) {
+        record(hops.auth, 'fail', `api-service unreachable: ${error.message}`);
+        skipFrom(['order', 'inventory', 'database', 'notification'], 'api-service unreachable');
+        return results;
+    }
+
+    if (created.status !== 200) {
+        const problem = created.body ?? {};
+        const detail = `HTTP ${created.status}: ${problem.detail ?? problem.error ?? 'no details'}`;
+        if (created.status === 401 || problem.upstream === 'auth-service') {
+            record(hops.auth, 'fail', detail);
+            skipFrom(['order', 'inventory', 'database', 'notification'], 'not authenticated');
+            return results;
+        }
+        record(hops.auth, 'ok', 'token accepted');
+
+        // Which saga step failed tells which hop behind order-service broke
+        const saga = await request('GET', `${urls['order-service']}/sagas`)
+            .then(({ body }) => body?.sagas?.find(s => s.context.idempotencyKey === idempotencyKey))
+            .catch(() => null);
+        if (!saga) {
+            record(hops.order, 'fail', detail);
+            skipFrom(['inventory', 'database', 'notification'], 'order-service did not run the order');
+            return results;
+        }
+        // The call went through, but no order came out of it
+        record(hops.order, 'fail', `${detail}, saga ${saga.id} ${saga.status}`);
+        const stepHops = { reserve: 'inventory', store: 'database', confirm: 'inventory' };
+        for (const step of saga.steps) {
+            const outcome = `${step.name}: ${step.status}${step.error ? ` (${step.error})` : ''}, ${step.attempts} attempt(s) in ${step.durationMs}ms`;
+            if (step.status === 'failed') record(hops[stepHops[step.name]], 'fail', outcome);
+            else if (step.name !== 'confirm') record(hops[stepHops[step.name]], 'ok', outcome);
+        }
+        const reported = new Set(results.map(r => r.hop));
+        skipFrom(['inventory', 'database', 'notification'].filter(key => !reported.has(hops[key])), 'order not created');
+        return results;
+    }
+
+    const { order } = created.body;
+    record(hops.auth, 'ok', 'token accepted');
+    // A 200 is not enough: the order must have come out of a completed saga
+    const saga = await request('GET', `${urls['order-service']}/sagas`)
+        .then(({ body }) => body?.sagas?.find(s => s.context.idempotencyKey === idempotencyKey))
+        .catch(() => null);
+    if (order.status === 'cancelled' || (saga && saga.status !== 'completed')) {
+        record(hops.order, 'fail', `order ${order.id} is ${order.status}${saga ? `, saga ${saga.id} ${saga.status}` : ''}`);
+    } else {
+        record(hops.order, 'ok', `order ${order.id} ${order.status}`);
+    }
+
+    try {
+        const { body } = await request('GET', `${urls['inventory-service']}/reservations/${order.reservationId}`);
+        if (body?.reservation?.status !== 'confirmed') throw new Error(`reservation is ${body?.reservation?.status ?? 'missing'}`);
+        record(hops.inventory, 'ok', `reservation ${order.reservationId} confirmed`);
+    } catch (error) {
+        record(hops.inventory, 'fail', error.message);
+    }
+
+    try {
+        const { status } = await request('GET', `${urls['order-service']}/orders/${order.id}`);
+        if (status !== 200) throw new Error(`reading the order back: HTTP ${status}`);
+        record(hops.database, 'ok', 'order stored and read back');
+    } catch (error) {
+        record(hops.database, 'fail', error.message);
+    }
+
+    // The outbox dispatcher polls every second
+    const deadline = Date.now() + NOTIFICATION_TIMEOUT_MS;
+    let notified = false;
+    while (!notified && Date.now() < deadline) {
+        const { body } = await request('GET', `${urls['notification-service']}/notifications`).catch(() => ({}));
+        notified = body?.notifications?.some(n => n.type === 'order_created' && n.order?.id === order.id);
+        if (!notified) await sleep(500);
+    }
+    record(hops.notification, notified ? 'ok' : 'fail',
+        notified ? 'order_created received' : `order_created not received after ${NOTIFICATION_TIMEOUT_MS / 1000}s`);
+
+    return results;
+}
+
+// Not a hop, but the leak is one of the bugs: look for it after the smoke test
+async function checkAuthMemory(urls) {
+    try {
+        const { body } = await request('GET', `${urls['auth-service']}/debug/memory`);
+        const leaked = body?.leakedSessions ?? 0;
+        return {
+            hop: 'auth-service (memory)',
+            status: leaked > 0 ? 'fail' : 'ok',
+            detail: leaked > 0 ? `${leaked} validated token(s) never freed, ~${leaked * 100}KB` : 'nothing retained'
+        };
+    } catch (error) {
+        return { hop: 'auth-service (memory)', status: 'fail', detail: error.message };
+    }
+}
+
+/**
+ * After the smoke test: call every GET of each service's document that needs
+ * no parameter, then collect the mismatches its contract check found.
+ */
+async function checkContracts(services) {
+    const results = [];
+    for (const { name, url, exitCode } of services) {
+        const hop = `${name} (contract)`;
+        if (exitCode !== null) {
+            results.push({ hop, status: 'skip', detail: 'not running' });
+            continue;
+        }
+        try {
+            const { status, body: document } = await request('GET', `${url}/openapi.json`);
+            if (status !== 200 || !document?.openapi) throw new Error(`/openapi.json: HTTP ${status}`);
+
+            const reads = Object.entries(document.paths).filter(([path, item]) => item.get && !path.includes('{'));
+            for (const [path] of reads) await request('GET', `${url}${path}`).catch(() => null);
+
+            const { body: report } = await request('GET', `${url}/debug/contract`);
+            const [first] = report.violations;
+            results.push(report.total === 0
+                ? { hop, status: 'ok', detail: `matches OpenAPI ${document.openapi} document` }
+                : {
+                    hop,
+                    status: 'fail',
+                    detail: `${report.total} mismatch(es), e.g. ${first.operation} ${first.status} ${first.direction}: ${first.errors.join('; ')}`
+                });
+        } catch (error) {
+            results.push({ hop, status: 'fail', detail: error.message });
+        }
+    }
+    return results;
+}
+
+function printReport(results) {
+    const width = Math.max(...results.map(r => r.hop.length));
+    const marks = { ok: 'OK  ', fail: 'FAIL', skip: 'SKIP' };
+    console.log('\nSmoke test');
+    for (const { hop, status, detail } of results) {
+        console.log(`  ${marks[status]}  ${hop.padEnd(width)}  ${detail}`);
+    }
+}
+
+const { values: options } = parseArgs({
+    options: {
+        bug: { type: 'string', multiple: true, default: [] },
+        'all-bugs': { type: 'boolean', default: false },
+        'list-bugs': { type: 'boolean', default: false },
+        'keep-running': { type: 'boolean', default: false },
+        'skip-smoke': { type: 'boolean', default: false },
+        'log-dir': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (options.help) {
+    console.log(`Usage: node run-local.mjs [--bug <name>]... [--all-bugs] [--list-bugs]
+                         [--keep-running] [--skip-smoke] [--log-dir <dir>]`);
+    process.exit(0);
+}
+
+if (options['list-bugs']) {
+    for (const [name, description] of Object.entries(BUGS)) console.log(`${name.padEnd(16)} ${description}`);
+    process.exit(0);
+}
+
+const bugs = new Set(options['all-bugs'] ? Object.keys(BUGS) : options.bug);
+const unknown = [...bugs].filter(name => !BUGS[name]);
+if (unknown.length > 0) {
+    console.error(`Unknown bug(s): ${unknown.join(', ')}. See --list-bugs.`);
+    process.exit(2);
+}
+
+const notInstalled = SERVICES.filter(({ name }) => !existsSync(path.join(ROOT, name, 'node_modules')));
+if (notInstalled.length > 0) {
+    console.error('Dependencies missing, run first:');
+    for (const { name } of notInstalled) console.error(`  (cd ${path.relative(process.cwd(), path.join(ROOT, name)) || '.'} && npm install)`);
+    process.exit(2);
+}
+
+const logDir = options['log-dir'] ?? mkdtempSync(path.join(os.tmpdir(), 'cloudmart-'));
+mkdirSync(logDir, { recursive: true });
+
+console.log(`Bugs: ${bugs.size > 0 ? [...bugs].join(', ') : 'none'}`);
+console.log(`Logs: ${logDir}\n`);
+
+const running = [];
+const urls = {};
+let stopping = false;
+
+const shutdown = async (exitCode) => {
+    if (stopping) return;
+    stopping = true;
+    console.log('\nStopping...');
+    await stopAll(running);
+    process.exit(exitCode);
+};
+process.on('SIGINT', () => shutdown(130));
+process.on('SIGTERM', () => shutdown(143));
+
+// The contract tests stop the stack, so they only run when nothing else needs it
+const contractTests = bugs.size === 0 && !options['keep-running'];
+// Long enough for them to see /ready answer 503 while a service stops
+const shutdownDelay = { SHUTDOWN_DELAY_MS: contractTests ? '1000' : '0' };
+
+// Another instance of a service, for the contract tests: `env` on top of the usual
+let instances = 0;
+async function startInstance(name, env) {
+    const service = SERVICES.find(s => s.name === name);
+    const port = await freePort();
+    const started = start(service, {
+        port, env: { ...service.env({ bugs, urls }), ...shutdownDelay, ...env }, logDir, instance: ++instances
+    });
+    running.push(started);
+    const state = await waitHealthy(started);
+    if (state !== 'healthy') throw new Error(`${name} (${started.logFile}): ${state}`);
+    return started;
+}
+
+for (const service of SERVICES) {
+    const port = await freePort();
+    urls[service.name] = `http://127.0.0.1:${port}`;
+    const started = start(service, { port, env: { ...service.env({ bugs, urls }), ...shutdownDelay }, logDir });
+    running.push(started);
+
+    const state = await waitHealthy(started);
+    const note = state === 'crashed' ? ` (exit ${started.exitCode}, see ${started.logFile})` : '';
+    console.log(`  ${service.name.padEnd(22)} ${started.url.padEnd(24)} ${state}${note}`);
+}
+
+let failed = false;
+if (!options['skip-smoke']) {
+    const results = await smokeTest(urls);
+    results.push(await checkAuthMemory(urls));
+    if (contractTests && results.every(r => r.status === 'ok')) {
+        results.push(...await runContractTests({
+            services: running, urls, chaosToken: CHAOS_TOKEN, subscribersToken: SUBSCRIBERS_TOKEN, freePort, startInstance
+        })
+            .catch(error => [{ hop: 'contract tests', status: 'fail', detail: error.message }]));
+    } else {
+        results.push(...await checkContracts(running));
+    }
+    printReport(results);
+    failed = results.some(r => r.status === 'fail');
+}
+
+if (options['keep-running']) {
+    console.log('\nRunning, Ctrl+C to stop.');
+} else {
+    await shutdown(failed ? 1 : 0);
+}
@@ -1,5 +1,8 @@
 const express = require('express');
+const { handleShutdown, readinessProbe, trackInFlight } = require('./shutdown');
+
 const app = express();
+app.use(trackInFlight);
 
 const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
@@ -9,6 +12,9 @@ app.get('/health', (req, res) => {
   res.send('OK');
 });
 
+// Readiness endpoint: fails once shutdown has started
+app.get('/ready', readinessProbe);
+
 app.get('/compute', async (req, res) => {
   const workUnits = parseInt(req.query.work) || 100;
   const start = Date.now();
@@ -37,6 +43,8 @@ app.get('/compute', async (req, res) => {
   res.json({ result, duration, workUnits });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`compute-service starting on port ${port} (version: ${APP_VERSION})`);
-});
\ No newline at end of file
+});
+
+handleShutdown(server);
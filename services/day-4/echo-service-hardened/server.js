@@ -3,6 +3,13 @@ import os from "os";
 
 import client from 'prom-client';
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 // 1. Create Registry
 const register = new client.Registry();
 client.collectDefaultMetrics({ register }); // CPU, Memory, etc.
@@ -16,6 +23,9 @@ const httpRequestCounter = new client.Counter({
 register.registerMetric(httpRequestCounter);
 
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 
 // 3. Middleware to Count
@@ -41,17 +51,12 @@ app.get('/metrics', async (req, res) => {
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
 
-    console.log("Headers:", JSON.stringify(req.headers)); // Debug OTel headers
+    logger.debug("Headers", { headers: req.headers }); // Debug OTel headers (LOG_LEVEL=debug)
 
-    console.log(
-        JSON.stringify({
-            timestamp: new Date().toISOString(),
-            msg: "Handling request",
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-        })
-    );
+    logger.info("Handling request", {
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -66,15 +71,10 @@ app.use((req, res, next) => {
     }
 
     if (Math.random() < FLAKY_RATE) {
-        console.log(
-            JSON.stringify({
-                timestamp: new Date().toISOString(),
-                msg: "💥 Simulating chaos failure (500)",
-                method: req.method,
-                path: req.path,
-                hostname: os.hostname(),
-            })
-        );
+        logger.warn("💥 Simulating chaos failure (500)", {
+            method: req.method,
+            path: req.path,
+        });
         return res.status(500).json({ error: "Internal Server Error (Simulated)" });
     }
     next();
@@ -146,20 +146,16 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
+    health.markStarted();
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        SIMULATE_DELAY_MS,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -3,14 +3,21 @@ import os from "os";
 
 import client from 'prom-client';
 
+import { createLogger } from "./logger.js";
+import { createHealth } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+
+const logger = createLogger({ service: process.env.APP_NAME ?? "echo-service" });
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+
 // Simulate slow startup (configurable via env, default 30 seconds)
 const STARTUP_DELAY_MS = Number(process.env.STARTUP_DELAY_MS ?? 30000);
-let isStartupComplete = false;
 
-console.log(`Simulating startup delay of ${STARTUP_DELAY_MS}ms...`);
+logger.info(`Simulating startup delay of ${STARTUP_DELAY_MS}ms...`);
 setTimeout(() => {
-    isStartupComplete = true;
-    console.log('Startup complete!');
+    // /startupz (and /readyz) start passing
+    health.markStarted();
+    logger.info('Startup complete!');
 }, STARTUP_DELAY_MS);
 
 // 1. Create Registry
@@ -26,6 +33,9 @@ const httpRequestCounter = new client.Counter({
 register.registerMetric(httpRequestCounter);
 
 const app = express();
+app.use(trackInFlight);
+// Health probes (/livez, /readyz, /startupz, see health.js) skip logging, metrics and chaos
+app.use(health.router);
 app.use(express.json({ limit: "1mb" }));
 
 // 3. Middleware to Count
@@ -51,17 +61,12 @@ app.get('/metrics', async (req, res) => {
 app.use(express.urlencoded({ extended: true }));
 app.use((req, _res, next) => {
 
-    console.log("Headers:", JSON.stringify(req.headers)); // Debug OTel headers
+    logger.debug("Headers", { headers: req.headers }); // Debug OTel headers (LOG_LEVEL=debug)
 
-    console.log(
-        JSON.stringify({
-            timestamp: new Date().toISOString(),
-            msg: "Handling request",
-            method: req.method,
-            path: req.path,
-            hostname: os.hostname(),
-        })
-    );
+    logger.info("Handling request", {
+        method: req.method,
+        path: req.path,
+    });
     next();
 });
 
@@ -76,15 +81,10 @@ app.use((req, res, next) => {
     }
 
     if (Math.random() < FLAKY_RATE) {
-        console.log(
-            JSON.stringify({
-                timestamp: new Date().toISOString(),
-                msg: "💥 Simulating chaos failure (500)",
-                method: req.method,
-                path: req.path,
-                hostname: os.hostname(),
-            })
-        );
+        logger.warn("💥 Simulating chaos failure (500)", {
+            method: req.method,
+            path: req.path,
+        });
         return res.status(500).json({ error: "Internal Server Error (Simulated)" });
     }
     next();
@@ -109,10 +109,11 @@ const APP_VERSION = process.env.APP_VERSION ?? "dev";
 const FEATURE_FLAG_X = process.env.FEATURE_FLAG_X ?? "off";
 
 /**
- * Startup probe endpoint (checks if slow initialization is complete)
+ * Startup probe endpoint (checks if slow initialization is complete).
+ * Kept for older manifests, /startupz is the same check with a JSON body.
  */
 app.get('/startup', (req, res) => {
-    if (isStartupComplete) {
+    if (health.isStarted()) {
         res.status(200).send('ready');
     } else {
         res.status(503).send('starting');
@@ -167,20 +168,15 @@ app.post("/echo", (req, res) => {
     });
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     // Intentionally log config at startup (safe subset only)
-    console.log(
-        JSON.stringify(
-            {
-                msg: "service started",
-                port,
-                APP_NAME,
-                APP_VERSION,
-                FEATURE_FLAG_X,
-                SIMULATE_DELAY_MS
-            },
-            null,
-            2
-        )
-    );
+    logger.info("service started", {
+        port,
+        APP_NAME,
+        APP_VERSION,
+        FEATURE_FLAG_X,
+        SIMULATE_DELAY_MS,
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });
@@ -0,0 +1,304 @@
+/* retry.js */
+// Retry policy shared by the log-service variants: exponential backoff with
+// configurable jitter, Retry-After awareness, safe-method checks and a
+// per-process retry budget so retries can never amplify traffic by more than
+// a fixed percentage.
+import { createLogger } from "./logger.js";
+
+const JITTER_STRATEGIES = ["none", "full", "equal", "decorrelated"];
+
+// Methods that can be sent twice without side effects (RFC 9110 idempotent methods)
+const DEFAULT_SAFE_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+// Only these statuses carry a Retry-After we are willing to wait for
+const RETRY_AFTER_STATUSES = [429, 503];
+
+// Resolves after `ms`, or as soon as `signal` aborts
+const sleep = (ms, signal) => new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", done);
+        resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+});
+
+const numberFromEnv = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Retry budget: retries are only allowed while they stay under `ratio` of the
+ * requests seen in the last `windowMs` (with a small floor so a quiet service
+ * can still retry). Counts are kept in one-second buckets.
+ */
+export function createRetryBudget({ ratio = 0.2, minRetriesPerSecond = 10, windowMs = 10000 } = {}) {
+    const bucketCount = Math.max(1, Math.ceil(windowMs / 1000));
+    const buckets = Array.from({ length: bucketCount }, () => ({ second: -1, requests: 0, retries: 0 }));
+    let exhausted = 0;
+
+    const currentBucket = () => {
+        const second = Math.floor(Date.now() / 1000);
+        const bucket = buckets[second % bucketCount];
+        if (bucket.second !== second) {
+            bucket.second = second;
+            bucket.requests = 0;
+            bucket.retries = 0;
+        }
+        return bucket;
+    };
+
+    const totals = () => {
+        const oldest = Math.floor(Date.now() / 1000) - bucketCount + 1;
+        return buckets
+            .filter(bucket => bucket.second >= oldest)
+            .reduce((sum, bucket) => ({
+                requests: sum.requests + bucket.requests,
+                retries: sum.retries + bucket.retries,
+            }), { requests: 0, retries: 0 });
+    };
+
+    const allowed = (requests) => Math.max(minRetriesPerSecond * bucketCount, requests * ratio);
+
+    return {
+        recordRequest() {
+            currentBucket().requests++;
+        },
+
+        // Take one retry from the budget. Returns false when the budget is spent.
+        tryAcquire() {
+            const { requests, retries } = totals();
+            if (retries + 1 > allowed(requests)) {
+                exhausted++;
+                return false;
+            }
+            currentBucket().retries++;
+            return true;
+        },
+
+        snapshot() {
+            const { requests, retries } = totals();
+            return {
+                ratio,
+                minRetriesPerSecond,
+                windowMs,
+                requests,
+                retries,
+                allowedRetries: Math.floor(allowed(requests)),
+                exhausted,
+            };
+        },
+    };
+}
+
+/**
+ * Build a retry policy from env (RETRY_*). `defaults` replaces the built-in
+ * defaults for settings that are not set in env.
+ */
+export function createRetryPolicy(defaults = {}) {
+    const jitter = process.env.RETRY_JITTER ?? defaults.jitter ?? "equal";
+    if (!JITTER_STRATEGIES.includes(jitter)) {
+        throw new Error(`RETRY_JITTER must be one of ${JITTER_STRATEGIES.join(", ")} (got "${jitter}")`);
+    }
+
+    const safeMethods = process.env.RETRY_SAFE_METHODS
+        ? process.env.RETRY_SAFE_METHODS.split(",").map(method => method.trim().toUpperCase()).filter(Boolean)
+        : defaults.safeMethods ?? DEFAULT_SAFE_METHODS;
+
+    return {
+        maxAttempts: Math.max(1, numberFromEnv("RETRY_MAX_ATTEMPTS", defaults.maxAttempts ?? 4)),
+        baseDelayMs: numberFromEnv("RETRY_BASE_DELAY_MS", defaults.baseDelayMs ?? 100),
+        maxDelayMs: numberFromEnv("RETRY_MAX_DELAY_MS", defaults.maxDelayMs ?? 5000),
+        maxRetryAfterMs: numberFromEnv("RETRY_MAX_RETRY_AFTER_MS", defaults.maxRetryAfterMs ?? 5000),
+        attemptTimeoutMs: numberFromEnv("RETRY_ATTEMPT_TIMEOUT_MS", defaults.attemptTimeoutMs ?? 0),
+        jitter,
+        safeMethods,
+        logger: defaults.logger ?? createLogger({ component: "retry" }),
+        budget: createRetryBudget({
+            ratio: numberFromEnv("RETRY_BUDGET_RATIO", 0.2),
+            minRetriesPerSecond: numberFromEnv("RETRY_BUDGET_MIN_PER_SECOND", 10),
+            windowMs: numberFromEnv("RETRY_BUDGET_WINDOW_MS", 10000),
+        }),
+    };
+}
+
+/**
+ * Loggable view of a policy (settings and current budget usage).
+ */
+export function describeRetryPolicy(policy) {
+    const { logger, budget, ...settings } = policy;
+    return { ...settings, budget: budget.snapshot() };
+}
+
+/**
+ * Delay before retry number `retry` (1 = first retry).
+ * See https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/
+ */
+export function computeBackoff(policy, retry, previousDelay = policy.baseDelayMs) {
+    const { baseDelayMs, maxDelayMs } = policy;
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry - 1));
+
+    switch (policy.jitter) {
+        case "full":
+            return Math.floor(Math.random() * exponential);
+        case "equal":
+            return Math.floor(exponential / 2 + Math.random() * (exponential / 2));
+        case "decorrelated":
+            return Math.floor(Math.min(maxDelayMs, baseDelayMs + Math.random() * (previousDelay * 3 - baseDelayMs)));
+        default:
+            return exponential;
+    }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds.
+ * Returns null if the header is missing or invalid.
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+        return Number(value.trim()) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Can this request be sent again? Idempotent methods can; other methods only
+ * when the caller made them idempotent with an Idempotency-Key header.
+ */
+export function isRetryable(policy, method = "GET", headers = {}) {
+    if (policy.safeMethods.includes(method.toUpperCase())) return true;
+    return new Headers(headers).has("idempotency-key");
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+async function fetchAttempt(url, options, attemptTimeoutMs) {
+    if (!attemptTimeoutMs) {
+        return fetch(url, options);
+    }
+
+    // Per-attempt timeout, still honouring the caller's own signal (overall deadline)
+    const signal = options.signal
+        ? AbortSignal.any([options.signal, AbortSignal.timeout(attemptTimeoutMs)])
+        : AbortSignal.timeout(attemptTimeoutMs);
+    return fetch(url, { ...options, signal });
+}
+
+/**
+ * fetch() with retries according to `policy`.
+ *
+ * Resolves with the response on success or on a non-retryable status (4xx),
+ * throws the last error once retries are exhausted, not allowed, or over budget.
+ *
+ * `observer` gets notified of every step, e.g. to record metrics:
+ * - onAttempt({ attempt, status, error, durationMs }) after each attempt
+ *   (`status` is null when no response came back)
+ * - onRetry({ attempt, delayMs, reason }) before sleeping for a retry
+ * - onOutcome({ outcome, attempts, durationMs }) once, with outcome one of
+ *   success, client_error, retries_exhausted, not_retryable, aborted,
+ *   retry_after_too_long, budget_exhausted
+ */
+export async function fetchWithRetry(url, options, policy, observer = {}) {
+    const { logger } = policy;
+    const canRetry = isRetryable(policy, options.method, options.headers);
+    const start = performance.now();
+    let previousDelay = policy.baseDelayMs;
+
+    policy.budget.recordRequest();
+
+    const finish = (outcome, attempts) => {
+        observer.onOutcome?.({ outcome, attempts, durationMs: performance.now() - start });
+    };
+
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let error;
+        const attemptStart = performance.now();
+
+        try {
+            response = await fetchAttempt(url, options, policy.attemptTimeoutMs);
+        } catch (fetchError) {
+            error = fetchError;
+        }
+        observer.onAttempt?.({
+            attempt,
+            status: response?.status ?? null,
+            error: error ?? null,
+            durationMs: performance.now() - attemptStart,
+        });
+
+        if (response?.ok) {
+            logger.info(`✅ Dependency call succeeded on attempt #${attempt}`, { url, attempt });
+            finish("success", attempt);
+            return response;
+        }
+
+        // Client errors (except 429 Too Many Requests) will not get better by retrying
+        if (response && !isRetryableStatus(response.status)) {
+            finish("client_error", attempt);
+            return response;
+        }
+
+        if (response) {
+            error = new Error(`Server returned ${response.status}`);
+            error.status = response.status;
+        }
+
+        // The caller's own deadline has passed: retrying cannot help
+        if (options.signal?.aborted) {
+            finish("aborted", attempt);
+            throw error;
+        }
+        if (!canRetry) {
+            finish("not_retryable", attempt);
+            throw error;
+        }
+        if (attempt >= policy.maxAttempts) {
+            finish("retries_exhausted", attempt);
+            throw error;
+        }
+
+        let delay = computeBackoff(policy, attempt, previousDelay);
+
+        if (response && RETRY_AFTER_STATUSES.includes(response.status)) {
+            const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+            if (retryAfter !== null) {
+                if (retryAfter > policy.maxRetryAfterMs) {
+                    logger.warn(`Request failed: ${error.message}. Retry-After of ${retryAfter}ms is too long, giving up`, {
+                        url, attempt, retryAfterMs: retryAfter,
+                    });
+                    finish("retry_after_too_long", attempt);
+                    throw error;
+                }
+                delay = Math.max(delay, retryAfter);
+            }
+        }
+
+        if (!policy.budget.tryAcquire()) {
+            logger.warn(`Request failed: ${error.message}. Retry budget exhausted, not retrying`, {
+                url, attempt, budget: policy.budget.snapshot(),
+            });
+            error.retryBudgetExhausted = true;
+            finish("budget_exhausted", attempt);
+            throw error;
+        }
+
+        observer.onRetry?.({ attempt, delayMs: delay, reason: response ? String(response.status) : (error.name ?? "error") });
+        logger.warn(`Request failed: ${error.message}. Retrying in ${delay}ms... (${policy.maxAttempts - attempt} retries left)`, {
+            url, attempt, delayMs: delay,
+        });
+        await sleep(delay, options.signal);
+        // The deadline passed while waiting: do not send the next attempt
+        if (options.signal?.aborted) {
+            finish("aborted", attempt);
+            throw error;
+        }
+        previousDelay = Math.max(delay, policy.baseDelayMs);
+    }
+}
@@ -3,6 +3,11 @@ import os from "os";
 
 import client from 'prom-client';
 
+import { createLogger } from "./logger.js";
+import { createHealth, HEALTH_PATHS, httpCheck } from "./health.js";
+import { handleShutdown, trackInFlight } from "./shutdown.js";
+import { createRetryPolicy, describeRetryPolicy, fetchWithRetry } from "./retry.js";
+
 // 1. Create Registry
 const register = new client.Registry();
 client.collectDefaultMetrics({ register });
@@ -15,16 +20,41 @@ const httpRequestCounter = new client.Counter({
 });
 register.registerMetric(httpRequestCounter);
 
+// Path label: the matched route template (e.g. "/orders/:id"), an allow-listed
+// path (METRICS_PATH_ALLOWLIST="/log,/users/:id") or the bounded "other" bucket.
+// Never the raw URL: every unique path would create a new time series.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const METRICS_PATH_ALLOWLIST = (process.env.METRICS_PATH_ALLOWLIST ?? '')
+    .split(',')
+    .map(template => template.trim())
+    .filter(template => template.startsWith('/'))
+    .map(template => ({
+        template,
+        regex: new RegExp('^' + template.split('/')
+            .map(segment => segment.startsWith(':') ? '[^/]+' : escapeRegExp(segment))
+            .join('/') + '/?$'),
+    }));
+
+function pathLabel(req) {
+    const route = req.route?.path;
+    if (typeof route === 'string' && route !== '*' && route !== '/*') {
+        return req.baseUrl + route;
+    }
+    const allowed = METRICS_PATH_ALLOWLIST.find(({ regex }) => regex.test(req.path));
+    return allowed ? allowed.template : 'other';
+}
+
 const app = express();
+app.use(trackInFlight);
 app.use(express.json({ limit: "1mb" }));
 
 // 3. Middleware to Count
 app.use((req, res, next) => {
     res.on('finish', () => {
-        if (req.path !== '/metrics' && req.path !== '/healthz') {
+        if (req.path !== '/metrics' && req.path !== '/healthz' && !HEALTH_PATHS.includes(req.path)) {
             httpRequestCounter.inc({
                 method: req.method,
-                path: req.path,
+                path: pathLabel(req),
                 status_code: res.statusCode,
             });
         }
@@ -47,76 +77,38 @@ const port = Number(process.env.PORT ?? 8080);
 const APP_VERSION = process.env.APP_VERSION ?? "v1";
 const LOG_LEVEL = process.env.LOG_LEVEL ?? "info";
 
-// Middleware to log
+const logger = createLogger({ service: "log-service", version: APP_VERSION });
+
+// Health probes: /livez, /readyz, /startupz (see health.js)
+const health = createHealth({ logger: logger.child({ component: "health" }) });
+app.use(health.router);
+
+// Middleware to log (trace_id / span_id are added by the logger from the active OTel span)
 app.use((req, res, next) => {
-    const context = {
-        timestamp: new Date().toISOString(),
-        msg: "Handling request",
-        method: req.method,
-        path: req.path,
-        hostname: os.hostname(),
-        version: APP_VERSION,
-    };
-    console.log(JSON.stringify(context));
+    logger.info("Handling request", { method: req.method, path: req.path });
     next();
 });
 
 const DEPENDENCY_URL = process.env.DEPENDENCY_URL || "http://echo-service:8080/info";
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// FETCH WITH RETRY (USING NATIVE FETCH)
-async function fetchWithRetry(url, options = {}, retriesLeft = 3) {
-    const MAX_RETRIES = 3;
-    const attempt = MAX_RETRIES - retriesLeft + 1;
-    const backoff = 100 * Math.pow(2, attempt - 1);
-
-    try {
-        // Native fetch call with timeout using AbortController
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-        const response = await fetch(url, {
-            method: options.method || 'GET',
-            headers: options.headers,
-            body: options.body,
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
-
-        if (response.ok) {
-            console.log(`✅ Dependency call succeeded on attempt #${attempt}`);
-            return response;
-        }
-
-        // Don't retry on 4xx client errors
-        if (response.status >= 400 && response.status < 500) {
-            return response;
-        }
-
-        throw new Error(`Server returned ${response.status}`);
-    } catch (error) {
-        if (retriesLeft === 0) throw error;
-
-        const jitter = Math.floor(Math.random() * 50);
-        const delay = backoff + jitter;
-
-        console.warn(`Request failed: ${error.message}. Retrying in ${delay}ms... (${retriesLeft} retries left)`);
-        await sleep(delay);
+// Readiness: take this pod out of rotation while the dependency is unreachable
+// (DEPENDENCY_REQUIRED=false only reports it in /readyz)
+const DEPENDENCY_HEALTH_URL = process.env.DEPENDENCY_HEALTH_URL || new URL("/livez", DEPENDENCY_URL).href;
+health.registerCheck("dependency", httpCheck(DEPENDENCY_HEALTH_URL), {
+    critical: process.env.DEPENDENCY_REQUIRED !== "false",
+});
 
-        return fetchWithRetry(url, options, retriesLeft - 1);
-    }
-}
+// Retry policy (RETRY_* env vars, see retry.js), each attempt times out after 5s
+const retryPolicy = createRetryPolicy({ attemptTimeoutMs: 5000, logger: logger.child({ component: "retry" }) });
 
 app.all("*", async (req, res) => {
     let dependencyInfo = null;
 
     try {
-        console.log(`Calling dependency: ${DEPENDENCY_URL}`);
+        logger.info(`Calling dependency: ${DEPENDENCY_URL}`);
 
         // OTel handles Context Propagation automatically with fetch/HTTP
-        const response = await fetchWithRetry(DEPENDENCY_URL);
+        const response = await fetchWithRetry(DEPENDENCY_URL, {}, retryPolicy);
 
         if (response.ok) {
             dependencyInfo = await response.json();
@@ -125,7 +117,7 @@ app.all("*", async (req, res) => {
         }
 
     } catch (error) {
-        console.error("Dependency call failed:", error.message);
+        logger.error("Dependency call failed", { dependency: DEPENDENCY_URL, error });
         dependencyInfo = { error: error.message };
     }
 
@@ -145,6 +137,13 @@ app.all("*", async (req, res) => {
     });
 });
 
-app.listen(port, () => {
-    console.log(`log-service starting on port ${port} (version: ${APP_VERSION})`);
+const server = app.listen(port, () => {
+    health.markStarted();
+    logger.info(`log-service starting on port ${port} (version: ${APP_VERSION})`, {
+        port,
+        logLevel: LOG_LEVEL,
+        retryPolicy: describeRetryPolicy(retryPolicy),
+    });
 });
+
+handleShutdown(server, { logger: logger.child({ component: "shutdown" }) });